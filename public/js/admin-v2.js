@@ -13,12 +13,15 @@ import { getTurnConfig as fetchTurnConfig, invalidateTurnConfigCache, maskIceSer
 const SIGNAL_URL = WS_BASE;
 const ROSTER_ENDPOINT = "/api/admin/cameras";
 const VISIBILITY_ENDPOINT = "/api/visibility";
+const SOCKET_TOKEN_ENDPOINT = "/api/admin/socket-token";
 const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1_000;
 const NO_FRAMES_THRESHOLD_MS = 3_000;
 const OFFER_TIMEOUT_MS = 15_000;
 const RECONNECT_BACKOFF = [1_000, 2_000, 4_000, 8_000, 12_000];
 const QUALITY_OPTIONS = listQualityPresets();
 const DEFAULT_QUALITY = QUALITY_OPTIONS.includes("auto") ? "auto" : QUALITY_OPTIONS[0] || "auto";
+const METRICS_SPARKLINE_SAMPLES = 90;
+const SVG_NS = "http://www.w3.org/2000/svg";
 
 const TILE_REASON = {
 	ok: "Streaming",
@@ -121,6 +124,47 @@ function formatRtt(value) {
 	return `${Math.max(0, Math.round(value))} ms`;
 }
 
+function formatLoss(ratio) {
+	if (!Number.isFinite(ratio)) {
+		return "--";
+	}
+	return `${(ratio * 100).toFixed(1)}%`;
+}
+
+function createSparkline(label) {
+	const root = document.createElement("div");
+	root.className = "sparkline";
+	const caption = document.createElement("span");
+	caption.textContent = label;
+	const value = document.createElement("strong");
+	value.textContent = "--";
+	const svg = document.createElementNS(SVG_NS, "svg");
+	svg.setAttribute("viewBox", "0 0 100 24");
+	svg.setAttribute("preserveAspectRatio", "none");
+	const line = document.createElementNS(SVG_NS, "polyline");
+	svg.appendChild(line);
+	root.append(caption, value, svg);
+	return { root, value, line };
+}
+
+function drawSparkline(sparkline, values, text) {
+	sparkline.value.textContent = text;
+	const finite = values.filter((value) => Number.isFinite(value));
+	if (finite.length < 2) {
+		sparkline.line.setAttribute("points", "");
+		return;
+	}
+	const max = Math.max(...finite) || 1;
+	const step = 100 / (values.length - 1);
+	const points = [];
+	values.forEach((value, index) => {
+		if (Number.isFinite(value)) {
+			points.push(`${(index * step).toFixed(1)},${(23 - (value / max) * 22).toFixed(1)}`);
+		}
+	});
+	sparkline.line.setAttribute("points", points.join(" "));
+}
+
 async function fetchJson(url, options = {}) {
 	const response = await fetch(url, {
 		method: options.method || "GET",
@@ -296,9 +340,13 @@ class SignalHub {
 		}
 		const socket = new WebSocket(this.url);
 		this.socket = socket;
-		socket.addEventListener("open", () => {
+		socket.addEventListener("open", async () => {
+			const token = await this.fetchSocketToken();
+			if (socket !== this.socket || socket.readyState !== WebSocket.OPEN) {
+				return;
+			}
 			this.ready = true;
-			this.send({ type: "HELLO", role: "viewer-admin" });
+			this.queue.unshift(JSON.stringify({ type: "HELLO", role: "viewer-admin", token }));
 			this.flush();
 			this.emit("open");
 			logDebug("ws", "open", {});
@@ -338,6 +386,16 @@ class SignalHub {
 		});
 	}
 
+	async fetchSocketToken() {
+		try {
+			const payload = await postJson(buildApiUrl(SOCKET_TOKEN_ENDPOINT), { role: "admin" });
+			return payload?.token || null;
+		} catch (error) {
+			logDebug("ws", "token-error", { message: error?.message || String(error) });
+			return null;
+		}
+	}
+
 	send(message) {
 		const serialized = JSON.stringify(message);
 		if (this.ready && this.socket?.readyState === WebSocket.OPEN) {
@@ -395,6 +453,7 @@ class TileController {
 		this.visibilityUnsub = null;
 		this.reason = TILE_REASON.connecting;
 		this.rosterMeta = null;
+		this.metricsSamples = [];
 		this.mount();
 		this.subscribeVisibility();
 	}
@@ -512,6 +571,18 @@ class TileController {
 		controls.appendChild(qualitySelect);
 		root.appendChild(controls);
 
+		const metrics = document.createElement("div");
+		metrics.className = "tile-metrics";
+		const bitrateSpark = createSparkline("Upload");
+		const fpsSpark = createSparkline("FPS");
+		const rttSpark = createSparkline("RTT");
+		const lossSpark = createSparkline("Loss");
+		const limitationLine = document.createElement("span");
+		limitationLine.className = "tile-limitation";
+		limitationLine.hidden = true;
+		metrics.append(bitrateSpark.root, fpsSpark.root, rttSpark.root, lossSpark.root, limitationLine);
+		root.appendChild(metrics);
+
 		const footer = document.createElement("div");
 		footer.className = "tile-footer";
 		const reasonLine = document.createElement("span");
@@ -543,6 +614,13 @@ class TileController {
 			reasonLine,
 			errorLine,
 			focusBtn,
+			metrics: {
+				bitrate: bitrateSpark,
+				fps: fpsSpark,
+				rtt: rttSpark,
+				loss: lossSpark,
+				limitation: limitationLine,
+			},
 		};
 
 		video.addEventListener("playing", () => {
@@ -598,7 +676,66 @@ class TileController {
 		}
 		const team = meta.team ? meta.team.toUpperCase() : "?";
 		const slot = meta.slot !== undefined && meta.slot !== null ? meta.slot : "?";
-		this.dom.meta.textContent = `${team} • Slot ${slot}`;
+		const parts = [`${team} • Slot ${slot}`];
+		if (Number.isFinite(meta.viewers)) {
+			parts.push(`${meta.viewers} viewers`);
+		}
+		if (meta.status && meta.status !== "ONLINE") {
+			parts.push(meta.status);
+		}
+		this.dom.meta.textContent = parts.join(" • ");
+	}
+
+	setMetricsHistory(samples) {
+		this.metricsSamples = samples.slice(-METRICS_SPARKLINE_SAMPLES);
+		this.renderMetrics();
+	}
+
+	pushMetricsSample(sample) {
+		if (!sample || !Number.isFinite(sample.timestamp)) {
+			return;
+		}
+		const last = this.metricsSamples[this.metricsSamples.length - 1];
+		if (last && last.timestamp >= sample.timestamp) {
+			return;
+		}
+		this.metricsSamples.push(sample);
+		if (this.metricsSamples.length > METRICS_SPARKLINE_SAMPLES) {
+			this.metricsSamples.shift();
+		}
+		this.renderMetrics();
+	}
+
+	renderMetrics() {
+		const { metrics } = this.dom;
+		if (!metrics) {
+			return;
+		}
+		const samples = this.metricsSamples;
+		const latest = samples[samples.length - 1] || {};
+		const resolution = latest.width && latest.height ? ` · ${latest.width}×${latest.height}` : "";
+		drawSparkline(
+			metrics.bitrate,
+			samples.map((sample) => sample.bitrate),
+			formatBitrate(Number.isFinite(latest.bitrate) ? latest.bitrate / 1_000 : NaN),
+		);
+		drawSparkline(
+			metrics.fps,
+			samples.map((sample) => sample.fps),
+			Number.isFinite(latest.fps) ? `${Math.round(latest.fps)}${resolution}` : "--",
+		);
+		drawSparkline(metrics.rtt, samples.map((sample) => sample.rtt), formatRtt(latest.rtt));
+		drawSparkline(metrics.loss, samples.map((sample) => sample.packetLoss), formatLoss(latest.packetLoss));
+
+		const limited = latest.qualityLimitationReason && latest.qualityLimitationReason !== "none";
+		metrics.limitation.hidden = !limited;
+		metrics.limitation.textContent = limited
+			? `Encoder limited: ${latest.qualityLimitationReason}${latest.cpuAdapted ? " (CPU adaptation)" : ""}`
+			: "";
+		const viewers = Array.isArray(latest.viewers) ? latest.viewers : [];
+		metrics.loss.root.title = viewers
+			.map((viewer) => `${viewer.viewerSocketId}: ${formatRtt(viewer.rtt)}, loss ${formatLoss(viewer.packetLoss)}`)
+			.join("\n");
 	}
 
 	focus() {
@@ -1152,35 +1289,54 @@ function emitRemoteVisibility(payload) {
 	});
 }
 
+function applyRosterCameras(cameras, { replace = false, removed = [] } = {}) {
+	const roster = replace ? new Map() : new Map(state.roster);
+	removed.forEach((key) => roster.delete(key));
+	cameras.forEach((camera) => {
+		if (!camera?.nickname) {
+			return;
+		}
+		const key = nicknameKey(camera.nickname);
+		if (!key) {
+			return;
+		}
+		roster.set(key, {
+			slot: camera.observerSlot ?? camera.slot ?? "?",
+			team: camera.team ?? "?",
+			status: camera.status || null,
+			viewers: Number.isFinite(camera.connections) ? camera.connections : null,
+		});
+		if (camera.metrics) {
+			state.tiles.get(key)?.pushMetricsSample(camera.metrics);
+		}
+	});
+	state.roster = roster;
+	state.tiles.forEach((tile, key) => {
+		tile.setRosterMeta(roster.get(key));
+	});
+}
+
 async function loadRoster() {
 	try {
 		const payload = await fetchJson(buildApiUrl(ROSTER_ENDPOINT));
-		const roster = new Map();
-		if (Array.isArray(payload?.cameras)) {
-			payload.cameras.forEach((camera) => {
-				if (!camera?.nickname) {
-					return;
-				}
-				const key = nicknameKey(camera.nickname);
-				if (!key) {
-					return;
-				}
-				roster.set(key, {
-					slot: camera.observerSlot ?? camera.slot ?? "?",
-					team: camera.team ?? "?",
-				});
-			});
-		}
-		state.roster = roster;
-		state.tiles.forEach((tile, key) => {
-			tile.setRosterMeta(roster.get(key));
-		});
-		logDebug("roster", "loaded", { size: roster.size });
+		applyRosterCameras(Array.isArray(payload?.cameras) ? payload.cameras : [], { replace: true });
+		logDebug("roster", "loaded", { size: state.roster.size });
 	} catch (error) {
 		logDebug("roster", "error", { message: error?.message || String(error) });
 	}
 }
 
+async function loadTileMetrics(tile) {
+	try {
+		const payload = await fetchJson(buildApiUrl(`${ROSTER_ENDPOINT}/${encodeURIComponent(tile.nickname)}/metrics`));
+		tile.setMetricsHistory(Array.isArray(payload?.samples) ? payload.samples : []);
+	} catch (error) {
+		if (error?.status !== 404) {
+			logDebug("metrics", "error", { nickname: tile.nickname, message: error?.message || String(error) });
+		}
+	}
+}
+
 async function ensureTile(key, nickname) {
 	let tile = state.tiles.get(key);
 	if (tile) {
@@ -1199,6 +1355,7 @@ async function ensureTile(key, nickname) {
 	});
 	tile.setRosterMeta(state.roster.get(key));
 	state.tiles.set(key, tile);
+	loadTileMetrics(tile);
 	tile.start("initial").catch((error) => tile.handleError("start", error));
 	updateEmptyState();
 	return tile;
@@ -1328,6 +1485,20 @@ function handleSignalMessage(payload) {
 		case "VISIBILITY_STATE":
 			emitRemoteVisibility(payload);
 			break;
+		case "SCENE_APPLIED":
+			emitRemoteVisibility({ state: payload.visibility });
+			break;
+		case "ADMIN_SNAPSHOT":
+			applyRosterCameras(Array.isArray(payload.cameras) ? payload.cameras : [], { replace: true });
+			logDebug("roster", "snapshot", { size: state.roster.size });
+			break;
+		case "ADMIN_UPDATE":
+			if (payload.scope === "cameras") {
+				applyRosterCameras(Array.isArray(payload.cameras) ? payload.cameras : [], {
+					removed: Array.isArray(payload.removed) ? payload.removed : [],
+				});
+			}
+			break;
 		default:
 			break;
 	}
@@ -1339,10 +1510,10 @@ async function bootstrap() {
 		dom.forceTurnToggle.checked = state.turnOnly;
 	}
 	await ensureVisibilityStore();
-	await loadRoster();
 	await turnManager.ensure();
 	updateTokenIndicator();
 	signalHub.on("message", handleSignalMessage);
+	signalHub.on("open", () => signalHub.send({ type: "ADMIN_SUBSCRIBE" }));
 	signalHub.connect();
 	updateEmptyState();
 }
@@ -5,6 +5,10 @@ const GSI_ENDPOINT = "/api/gsi/state";
 const TURN_ENDPOINT = "/api/webrtc/config";
 const KICK_ENDPOINT = "/api/admin/kick";
 const RECONNECT_ENDPOINT = "/api/admin/reconnect";
+const SOCKET_TOKEN_ENDPOINT = "/api/admin/socket-token";
+const POLL_INTERVAL_MS = 5_000;
+const FEED_POLL_INTERVAL_MS = 30_000;
+const FEED_RECONNECT_MS = 3_000;
 const STORAGE_KEY_FORCE_TURN = "forceTurnOnly";
 
 const state = {
@@ -13,6 +17,10 @@ const state = {
   turn: null,
   lastUpdated: null,
   retryAttempt: 0,
+  focusLock: null,
+  focusLockReceivedAt: 0,
+  feed: null,
+  feedLive: false,
 };
 
 const dom = {
@@ -39,6 +47,7 @@ const dom = {
 };
 
 let refreshTimer = null;
+let feedTimer = null;
 
 function setMessage(text, isError = false) {
   if (!dom.message) {
@@ -76,16 +85,14 @@ async function loadAll(silent = false) {
     state.lastUpdated = nowIso();
     state.retryAttempt = 0;
 
-    const roster = mergePlayersWithCameras(gsi?.players || [], cameraPayload.cameras || []);
-
-    renderCameraSummary(roster);
-    renderCameraTable(roster);
+    renderCameras();
     renderGsi(gsi);
     renderTurn(turn);
     if (!silent) {
       setMessage(`Refreshed at ${new Date().toLocaleTimeString()}`);
     }
-    scheduleRefresh(5_000);
+    // Camera sessions and focus are pushed while the feed is live; the slow poll keeps GSI and TURN fresh.
+    scheduleRefresh(state.feedLive ? FEED_POLL_INTERVAL_MS : POLL_INTERVAL_MS);
   } catch (error) {
     state.retryAttempt += 1;
     const delay = getRetryDelay(state.retryAttempt);
@@ -94,6 +101,107 @@ async function loadAll(silent = false) {
   }
 }
 
+function renderCameras() {
+  const roster = mergePlayersWithCameras(state.gsi?.players || [], state.cameras || []);
+  renderCameraSummary(roster);
+  renderCameraTable(roster);
+}
+
+function applyCameraUpdate(payload) {
+  const removed = new Set(Array.isArray(payload.removed) ? payload.removed : []);
+  const updates = new Map();
+  (Array.isArray(payload.cameras) ? payload.cameras : []).forEach((camera) => {
+    if (camera?.key) {
+      updates.set(camera.key, camera);
+    }
+  });
+
+  state.cameras = (state.cameras || [])
+    .filter((camera) => !removed.has(camera.key) && !updates.has(camera.key))
+    .concat(Array.from(updates.values()))
+    .sort((a, b) => String(a.nickname).localeCompare(String(b.nickname)));
+}
+
+function applyFocusUpdate(payload) {
+  state.gsi = { ...(state.gsi || {}), currentFocus: payload.currentFocus || null };
+  state.focusLock = payload.focusLock || null;
+  state.focusLockReceivedAt = Date.now();
+  renderFocusLabel();
+}
+
+function handleFeedMessage(payload) {
+  switch (payload?.type) {
+    case "ADMIN_SNAPSHOT":
+      state.feedLive = true;
+      state.cameras = Array.isArray(payload.cameras) ? payload.cameras : [];
+      applyFocusUpdate(payload);
+      renderCameras();
+      break;
+    case "ADMIN_UPDATE":
+      if (payload.scope === "cameras") {
+        applyCameraUpdate(payload);
+        renderCameras();
+      } else if (payload.scope === "focus") {
+        applyFocusUpdate(payload);
+      }
+      break;
+    case "ERROR":
+      state.feed?.close();
+      break;
+    default:
+      break;
+  }
+}
+
+function scheduleFeedReconnect() {
+  if (feedTimer) {
+    return;
+  }
+  feedTimer = setTimeout(() => {
+    feedTimer = null;
+    connectFeed();
+  }, FEED_RECONNECT_MS);
+}
+
+async function connectFeed() {
+  let token = null;
+  try {
+    const payload = await fetchJson(SOCKET_TOKEN_ENDPOINT, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ role: "admin" }),
+      timeoutMs: 10_000,
+    });
+    token = payload?.token || null;
+  } catch (error) {
+    scheduleFeedReconnect();
+    return;
+  }
+
+  const socket = new WebSocket(`${location.protocol === "https:" ? "wss" : "ws"}://${location.host}`);
+  state.feed = socket;
+  socket.addEventListener("open", () => {
+    socket.send(JSON.stringify({ type: "HELLO", role: "admin", token }));
+    socket.send(JSON.stringify({ type: "ADMIN_SUBSCRIBE" }));
+  });
+  socket.addEventListener("message", (event) => {
+    try {
+      handleFeedMessage(JSON.parse(event.data));
+    } catch (error) {
+      // ignore malformed feed messages
+    }
+  });
+  socket.addEventListener("close", () => {
+    if (state.feed !== socket) {
+      return;
+    }
+    state.feed = null;
+    state.feedLive = false;
+    scheduleRefresh(POLL_INTERVAL_MS);
+    scheduleFeedReconnect();
+  });
+}
+
 async function fetchCameraSessions() {
   let lastError = null;
   for (const endpoint of CAMERA_ENDPOINTS) {
@@ -322,7 +430,9 @@ function renderGsi(gsi) {
     return;
   }
 
-  dom.gsiFocus.textContent = gsi.currentFocus || "—";
+  state.focusLock = gsi.focusLock || null;
+  state.focusLockReceivedAt = Date.now();
+  renderFocusLabel();
   dom.gsiUpdated.textContent = formatTimestamp(gsi.updatedAt);
 
   const grouped = new Map();
@@ -415,6 +525,27 @@ function renderDiagnostics() {
   dom.statsLog.textContent = JSON.stringify(diag.stats.slice(-10), null, 2);
 }
 
+function renderFocusLabel() {
+  if (!dom.gsiFocus) {
+    return;
+  }
+
+  const focus = state.gsi?.currentFocus || "—";
+  const lock = state.focusLock;
+  if (!lock) {
+    dom.gsiFocus.textContent = focus;
+    return;
+  }
+
+  if (Number.isFinite(lock.remainingMs)) {
+    const elapsed = Date.now() - state.focusLockReceivedAt;
+    const left = Math.max(0, Math.ceil((lock.remainingMs - elapsed) / 1000));
+    dom.gsiFocus.textContent = `${focus} · locked ${left}s`;
+  } else {
+    dom.gsiFocus.textContent = `${focus} · locked`;
+  }
+}
+
 function formatTimestamp(value) {
   if (!value) {
     return "—";
@@ -555,9 +686,11 @@ function bindEvents() {
 function init() {
   bindEvents();
   applyForceTurnFromStorage();
+  setInterval(renderFocusLabel, 1_000);
   loadAll().catch((error) => {
     setMessage(error.message || "Initial load failed", true);
   });
+  connectFeed();
 }
 
 init();
@@ -14,6 +14,12 @@ const FALLBACK_SETTINGS = {
 	heartbeatSeconds: 20,
 	maxFps: 5,
 };
+const CODEC_MIME_TYPES = {
+	h264: "video/h264",
+	vp8: "video/vp8",
+};
+const REPAIR_CODEC_MIME_TYPES = new Set(["video/rtx", "video/red", "video/ulpfec", "video/flexfec-03"]);
+const TRANSPORT_PRESETS = new Set(["udp", "tcp"]);
 const CACHE_SKEW_MS = 30_000;
 const MIN_CACHE_MS = 15_000;
 
@@ -105,6 +111,36 @@ function filterTurnOnlyServers(servers) {
 		.filter(Boolean);
 }
 
+function isTcpTurnUrl(url) {
+	return url.startsWith("turns:") || /[?&]transport=tcp\b/i.test(url);
+}
+
+// "udp" and "tcp" pin a camera to TURN over that transport; anything else keeps the servers as they are.
+function filterServersByTransport(servers, transport) {
+	if (!TRANSPORT_PRESETS.has(transport)) {
+		return cloneIceServers(servers);
+	}
+	const relayServers = filterTurnOnlyServers(servers);
+	const filtered = relayServers
+		.map((server) => {
+			const urls = Array.isArray(server.urls) ? server.urls : [server.urls];
+			const matching = urls.filter((url) => isTcpTurnUrl(url) === (transport === "tcp"));
+			if (!matching.length) {
+				return null;
+			}
+			return {
+				...server,
+				urls: matching.length === 1 ? matching[0] : matching,
+			};
+		})
+		.filter(Boolean);
+	if (!filtered.length) {
+		logDiag("transport-filter-empty", { transport });
+		return relayServers;
+	}
+	return filtered;
+}
+
 function buildResolvedConfig(base, forceTurnOnly) {
 	const servers = forceTurnOnly ? filterTurnOnlyServers(base.iceServers) : cloneIceServers(base.iceServers);
 	const fallbackSource = base?.fallback && typeof base.fallback === "object" ? base.fallback : null;
@@ -226,6 +262,78 @@ export async function createPeerConnection(forceRelay = false, options = {}) {
 	return managed.pc;
 }
 
+export function applyCodecPreference(pc, codec) {
+	const mimeType = CODEC_MIME_TYPES[codec];
+	if (!mimeType || !pc || typeof pc.getTransceivers !== "function") {
+		return false;
+	}
+	if (typeof RTCRtpTransceiver === "undefined" || typeof RTCRtpTransceiver.prototype.setCodecPreferences !== "function") {
+		logDiag("codec-preference-unsupported", { codec });
+		return false;
+	}
+
+	const capabilities = RTCRtpReceiver.getCapabilities?.("video")?.codecs || [];
+	const preferred = capabilities.filter((item) => item.mimeType.toLowerCase() === mimeType);
+	if (!preferred.length) {
+		logDiag("codec-preference-missing", { codec });
+		return false;
+	}
+	const repair = capabilities.filter((item) => REPAIR_CODEC_MIME_TYPES.has(item.mimeType.toLowerCase()));
+
+	let applied = false;
+	pc.getTransceivers().forEach((transceiver) => {
+		if (transceiver.stopped || transceiver.receiver?.track?.kind !== "video") {
+			return;
+		}
+		try {
+			transceiver.setCodecPreferences([...preferred, ...repair]);
+			applied = true;
+		} catch (error) {
+			logDiag("codec-preference-error", { codec, message: error?.message || String(error) });
+		}
+	});
+	return applied;
+}
+
+export async function readNegotiatedMedia(pc) {
+	if (!pc || typeof pc.getStats !== "function") {
+		return null;
+	}
+
+	const report = await pc.getStats(null);
+	let rtp = null;
+	let pairId = null;
+	report.forEach((entry) => {
+		if ((entry.type === "outbound-rtp" || entry.type === "inbound-rtp") && entry.kind === "video" && entry.codecId && !rtp) {
+			rtp = entry;
+		}
+		if (entry.type === "transport" && entry.selectedCandidatePairId) {
+			pairId = entry.selectedCandidatePairId;
+		}
+	});
+	if (!pairId) {
+		report.forEach((entry) => {
+			if (!pairId && entry.type === "candidate-pair" && entry.nominated && entry.state === "succeeded") {
+				pairId = entry.id;
+			}
+		});
+	}
+
+	const codec = rtp ? report.get(rtp.codecId) : null;
+	const pair = pairId ? report.get(pairId) : null;
+	const local = pair ? report.get(pair.localCandidateId) : null;
+	const remote = pair ? report.get(pair.remoteCandidateId) : null;
+	const relayed = local?.candidateType === "relay" || remote?.candidateType === "relay";
+	return {
+		codec: codec?.mimeType ? codec.mimeType.replace(/^video\//i, "") : null,
+		transport: {
+			candidateType: relayed ? "relay" : local?.candidateType || null,
+			protocol: local?.protocol || null,
+			relayProtocol: local?.relayProtocol || null,
+		},
+	};
+}
+
 export function createMjpegUrl(nickname) {
 	if (!nickname) {
 		return "";
@@ -237,7 +345,8 @@ export function createMjpegUrl(nickname) {
 
 class ManagedConnection {
 	constructor(options) {
-		this.forceTurnOnly = Boolean(options.forceTurnOnly);
+		this.transport = TRANSPORT_PRESETS.has(options.transport) ? options.transport : "auto";
+		this.forceTurnOnly = Boolean(options.forceTurnOnly) || this.transport !== "auto";
 		this.onStats = typeof options.onStats === "function" ? options.onStats : null;
 		this.onStateChange = typeof options.onStateChange === "function" ? options.onStateChange : null;
 		this.onReconnectNeeded = typeof options.onReconnectNeeded === "function" ? options.onReconnectNeeded : null;
@@ -255,7 +364,7 @@ class ManagedConnection {
 	async init() {
 		const config = await resolveConfig(this.forceTurnOnly);
 		const rtcConfig = {
-			iceServers: cloneIceServers(config.iceServers),
+			iceServers: filterServersByTransport(config.iceServers, this.transport),
 			iceTransportPolicy: this.forceTurnOnly ? "relay" : "all",
 			bundlePolicy: "max-bundle",
 			sdpSemantics: "unified-plan",
@@ -268,7 +377,7 @@ class ManagedConnection {
 		this.setupKeepAlive();
 		this.setupStatsLoop();
 
-		logDiag("pc-created", { label: this.label, forceTurnOnly: this.forceTurnOnly });
+		logDiag("pc-created", { label: this.label, forceTurnOnly: this.forceTurnOnly, transport: this.transport });
 	}
 
 	attachEventHandlers() {
@@ -467,13 +576,14 @@ class ManagedConnection {
 
 	async refreshIceServers(forceTurnOnly) {
 		this.forceTurnOnly = typeof forceTurnOnly === "boolean" ? forceTurnOnly : this.forceTurnOnly;
+		this.forceTurnOnly = this.forceTurnOnly || this.transport !== "auto";
 		const config = await resolveConfig(this.forceTurnOnly);
 		if (!this.pc) {
 			return;
 		}
 		try {
 			this.pc.setConfiguration({
-				iceServers: cloneIceServers(config.iceServers),
+				iceServers: filterServersByTransport(config.iceServers, this.transport),
 				iceTransportPolicy: this.forceTurnOnly ? "relay" : "all",
 			});
 			logDiag("pc-config-refreshed", { label: this.label, forceTurnOnly: this.forceTurnOnly });
@@ -534,6 +644,7 @@ class ManagedConnection {
 		return {
 			label: this.label,
 			forceTurnOnly: this.forceTurnOnly,
+			transport: this.transport,
 			reconnectAttempt: this.reconnectAttempt,
 			closed: this.closed,
 		};
@@ -1,7 +1,8 @@
 import { API_BASE, LOGO_DB_PROXY } from "./js/endpoints.js";
-import { getConfig, hasWebRTCSupport, createMjpegUrl } from "./js/webrtc-support.js";
+import { getConfig, hasWebRTCSupport, createMjpegUrl, applyCodecPreference } from "./js/webrtc-support.js";
 
 const TEAMS_ENDPOINT = `${API_BASE}/teams`;
+const DEFAULT_MEDIA_POLICY = { codec: "default", transport: "auto" };
 const LOGO_JSON = LOGO_DB_PROXY;
 
 async function loadJson(url) {
@@ -62,7 +63,10 @@ const normKey = (team) => {
 export async function loadTeamsWithLogos() {
 	const [live, logos] = await Promise.all([
 		loadJson(TEAMS_ENDPOINT),
-		loadJson(LOGO_JSON),
+		loadJson(LOGO_JSON).catch((error) => {
+			console.warn("Team logo catalogue unavailable", error);
+			return { teams: [] };
+		}),
 	]);
 
 	const logoMap = new Map();
@@ -88,10 +92,24 @@ export async function loadTeamsWithLogos() {
 		const altLogo = typeof match?.altLogo === "string" ? match.altLogo.trim() : "";
 		const mapLogo = typeof match?.mapLogo === "string" ? match.mapLogo.trim() : "";
 		const colors = match?.colors ?? team.colors ?? null;
+		const tag = typeof match?.tag === "string" && match.tag.trim() ? match.tag.trim() : team.tag || null;
+
+		// Admin overrides from /teams win over the logo catalogue.
+		if (team.overridden) {
+			return {
+				...team,
+				tag: team.tag || tag,
+				logo: team.logo || matchLogo || match?.badge || match?.image || null,
+				altLogo: team.altLogo || altLogo || null,
+				mapLogo: team.mapLogo || mapLogo || null,
+				colors: team.colors ?? colors,
+			};
+		}
 
 		return {
 			...team,
 			name: matchName || team.name,
+			tag,
 			logo: matchLogo || match?.badge || match?.image || team.logo || null,
 			altLogo: altLogo || team.altLogo || null,
 			mapLogo: mapLogo || team.mapLogo || null,
@@ -106,9 +124,16 @@ export async function loadTeamsWithLogos() {
 	const TEAM_TITLES = {
 		CT: "CT Squad",
 		T: "T Squad",
+		LEFT: "Left Squad",
+		RIGHT: "Right Squad",
 	};
 
+	// /team/left, /team/right and /team/:teamId follow the squad across side swaps.
+	const followMatch = window.location.pathname.match(/^\/team\/([^/]+)\/?$/);
+	const followTeam = Boolean(followMatch);
+
 	const rawTeamKey = (
+		(followMatch ? decodeURIComponent(followMatch[1]) : "") ||
 		window.TEAM_KEY ||
 		document.body.dataset.team ||
 		new URLSearchParams(window.location.search).get("team") ||
@@ -124,6 +149,7 @@ export async function loadTeamsWithLogos() {
 	const logoElement = document.getElementById("teamLogo");
 	const gridElement = document.getElementById("cameraGrid");
 	const statusElement = document.getElementById("teamStatus");
+	const sideElement = document.getElementById("teamSide");
 
 	if (typeof document !== "undefined") {
 		const hiddenStyleId = "team-hidden-style";
@@ -188,6 +214,18 @@ export async function loadTeamsWithLogos() {
 		logoElement.style.display = "block";
 	}
 
+	function applyTeamSide(side) {
+		if (!sideElement) {
+			return;
+		}
+
+		const normalized = typeof side === "string" ? side.trim().toUpperCase() : "";
+		sideElement.textContent = normalized;
+		sideElement.classList.toggle("ct", normalized === "CT");
+		sideElement.classList.toggle("t", normalized === "T");
+		sideElement.style.display = normalized ? "inline-block" : "none";
+	}
+
 
 	if (!teamKey) {
 		if (statusElement) {
@@ -234,6 +272,7 @@ export async function loadTeamsWithLogos() {
 		const fallbackTimers = new Map();
 		const forcedFallbackOverrides = new Set();
 		const hiddenByAdmin = new Set();
+		const mediaPolicies = new Map();
 	const MAX_PLAYERS = 5;
 
 	let ws = null;
@@ -461,6 +500,35 @@ export async function loadTeamsWithLogos() {
 		syncSessions();
 	}
 
+	function getMediaPolicy(nickname) {
+		const normalized = normalizeNickname(nickname);
+		return (normalized && mediaPolicies.get(normalized.toLowerCase())) || DEFAULT_MEDIA_POLICY;
+	}
+
+	function applyMediaPolicySnapshot(state) {
+		const previous = new Map(mediaPolicies);
+		mediaPolicies.clear();
+		const codecs = state && typeof state.codec === "object" ? state.codec : {};
+		const transports = state && typeof state.forceTurn === "object" ? state.forceTurn : {};
+		new Set([...Object.keys(codecs), ...Object.keys(transports)]).forEach((id) => {
+			const normalized = normalizeNickname(id);
+			if (normalized) {
+				mediaPolicies.set(normalized.toLowerCase(), {
+					codec: codecs[id] || DEFAULT_MEDIA_POLICY.codec,
+					transport: transports[id] || DEFAULT_MEDIA_POLICY.transport,
+				});
+			}
+		});
+
+		for (const nickname of Array.from(sessions.keys())) {
+			const before = previous.get(nickname.toLowerCase()) || DEFAULT_MEDIA_POLICY;
+			const after = getMediaPolicy(nickname);
+			if (before.codec !== after.codec || before.transport !== after.transport) {
+				restartSession(nickname);
+			}
+		}
+	}
+
 	function applyForcedFallbackList(list) {
 		const updated = new Set();
 		if (Array.isArray(list)) {
@@ -869,7 +937,11 @@ export async function loadTeamsWithLogos() {
 		}
 
 		const connectionId = createConnectionId();
-		const pc = await (await import("./js/webrtc-support.js")).createPeerConnection(FORCE_RELAY);
+		const mediaPolicy = getMediaPolicy(nickname);
+		const relayOnly = FORCE_RELAY || mediaPolicy.transport !== "auto";
+		const pc = await (await import("./js/webrtc-support.js")).createPeerConnection(FORCE_RELAY, {
+			transport: mediaPolicy.transport,
+		});
 		const session = { nickname, connectionId, pc, stream: null, connectTimer: null };
 		sessions.set(nickname, session);
 
@@ -921,7 +993,7 @@ export async function loadTeamsWithLogos() {
 				return;
 			}
 			const candidate = event.candidate.candidate || "";
-			if (FORCE_RELAY && candidate && !/\btyp relay\b/i.test(candidate)) {
+			if (relayOnly && candidate && !/\btyp relay\b/i.test(candidate)) {
 				console.warn("[ICE] dropping non-relay candidate", candidate);
 				return;
 			}
@@ -962,7 +1034,10 @@ export async function loadTeamsWithLogos() {
 		};
 
 		try {
-			const offer = await pc.createOffer({ offerToReceiveAudio: true, offerToReceiveVideo: true });
+			pc.addTransceiver("video", { direction: "recvonly" });
+			pc.addTransceiver("audio", { direction: "recvonly" });
+			applyCodecPreference(pc, mediaPolicy.codec);
+			const offer = await pc.createOffer();
 			await pc.setLocalDescription(offer);
 
 			sendSignal({
@@ -1061,6 +1136,18 @@ export async function loadTeamsWithLogos() {
 		restartSession(nickname, { failed: true });
 	}
 
+	function handlePublisherResumed(payload) {
+		const nickname = normalizeNickname(payload.nickname);
+		const session = nickname ? sessions.get(nickname) : null;
+		if (!session || session.connectionId !== payload.connectionId) {
+			return;
+		}
+
+		if (session.pc?.connectionState !== "connected") {
+			restartSession(nickname);
+		}
+	}
+
 	function handleActivePublishers(list) {
 		knownPublishers.clear();
 		if (Array.isArray(list)) {
@@ -1075,6 +1162,31 @@ export async function loadTeamsWithLogos() {
 		syncSessions();
 	}
 
+	function matchesTeamKey(entry) {
+		const keys = [entry?.id ?? entry?.side ?? entry?.name];
+		if (followTeam) {
+			keys.push(entry?.slot, entry?.teamId);
+		}
+		return keys.some((value) => (value ?? "").toString().trim().toUpperCase() === teamKey);
+	}
+
+	function applyTeamBranding(list) {
+		const target = Array.isArray(list) ? list.find(matchesTeamKey) : null;
+		if (!target) {
+			return;
+		}
+
+		if (typeof target.name === "string" && target.name.trim()) {
+			applyTeamTitle(target.name.trim());
+		}
+		const logoUrl = typeof target.logo === "string" && target.logo.trim() ? target.logo.trim() :
+			typeof target.altLogo === "string" && target.altLogo.trim() ? target.altLogo.trim() : "";
+		applyTeamLogo(logoUrl);
+		if (followTeam) {
+			applyTeamSide(target.side);
+		}
+	}
+
 	function handleMessage(event) {
 		let payload;
 
@@ -1088,6 +1200,7 @@ export async function loadTeamsWithLogos() {
 			case "WELCOME":
 				handleActivePublishers(payload.publishers);
 				applyForcedFallbackList(payload.forcedFallback);
+				applyTeamBranding(payload.teamBranding);
 				viewerRegistered = false;
 				sendSignal({ type: "HELLO", role: "viewer" });
 				break;
@@ -1101,12 +1214,21 @@ export async function loadTeamsWithLogos() {
 			case "FORCED_FALLBACK":
 				applyForcedFallbackList(payload.nicknames);
 				break;
+			case "TEAM_BRANDING":
+				applyTeamBranding(payload.teams);
+				break;
 			case "VISIBILITY_STATE":
+				applyMediaPolicySnapshot(payload.state);
 				applyHiddenStateSnapshot(payload.state);
 				break;
 			case "visibility.update":
 				applyHiddenStatePatch(payload.id, payload.visible);
 				break;
+			case "SCENE_APPLIED":
+				applyMediaPolicySnapshot(payload.visibility);
+				applyHiddenStateSnapshot(payload.visibility);
+				applyForcedFallbackList(payload.forcedFallback);
+				break;
 			case "SIGNAL_PUBLISHER_ANSWER":
 				handlePublisherAnswer(payload);
 				break;
@@ -1117,6 +1239,9 @@ export async function loadTeamsWithLogos() {
 			case "STREAM_ENDED":
 				handleStreamUnavailable(payload);
 				break;
+			case "PUBLISHER_RESUMED":
+				handlePublisherResumed(payload);
+				break;
 			default:
 				break;
 		}
@@ -1169,10 +1294,7 @@ export async function loadTeamsWithLogos() {
 		try {
 			const { teams } = await loadTeamsWithLogos();
 			const rosterList = Array.isArray(teams) ? teams : [];
-			const target = rosterList.find((entry) => {
-				const key = (entry?.id ?? entry?.name ?? "").toString().trim().toUpperCase();
-				return key === teamKey;
-			});
+			const target = rosterList.find(matchesTeamKey);
 
 			const players = Array.isArray(target?.players) ? target.players : [];
 			if (typeof target?.name === "string" && target.name.trim()) {
@@ -1182,6 +1304,9 @@ export async function loadTeamsWithLogos() {
 			const logoUrl = typeof target?.logo === "string" && target.logo.trim() ? target.logo.trim() :
 				typeof target?.altLogo === "string" && target.altLogo.trim() ? target.altLogo.trim() : "";
 			applyTeamLogo(logoUrl);
+			if (followTeam) {
+				applyTeamSide(target?.side);
+			}
 
 			renderPlayers(players);
 			ensureStatus(players.length ? "" : "Team roster is not available yet.");
@@ -11,6 +11,8 @@ import fs from "fs";
 import { promises as fsPromises } from "fs";
 import { fileURLToPath } from "url";
 import crypto from "crypto";
+import net from "net";
+import readline from "readline";
 import fetch from "node-fetch";
 
 dotenv.config();
@@ -22,14 +24,109 @@ const OWNER_IP = process.env.OWNER_IP || "127.0.0.1";
 const ADMIN_DATA_DIR = path.join(__dirname, "data");
 const ADMIN_CONFIG_PATH = path.join(ADMIN_DATA_DIR, "admin-config.json");
 const VISIBILITY_PATH = path.join(ADMIN_DATA_DIR, "visibility.json");
+const PLAYER_REGISTRY_PATH = path.join(ADMIN_DATA_DIR, "players.json");
+const ADMIN_ACCOUNTS_PATH = path.join(ADMIN_DATA_DIR, "admin-accounts.json");
+const SCENE_PRESETS_PATH = path.join(ADMIN_DATA_DIR, "scene-presets.json");
+const DATA_SNAPSHOT_DIR = path.join(ADMIN_DATA_DIR, "snapshots");
+const DATA_SNAPSHOT_LIMIT = Math.max(1, Number(process.env.DATA_SNAPSHOT_LIMIT) || 50);
+const DATA_SNAPSHOT_AUTO_LIMIT = Math.max(1, Number(process.env.DATA_SNAPSHOT_AUTO_LIMIT) || 50);
+const DATA_SNAPSHOT_ID_REGEX = /^[0-9TZ-]+-[0-9a-f]{4}$/;
+const restoringDataSnapshots = new Set();
+const CONFIG_BUNDLE_FORMAT = "bikecam-config";
+const CONFIG_BUNDLE_VERSION = 1;
+const SCENE_ID_REGEX = /^[a-z0-9][a-z0-9-]{0,47}$/;
+const MAX_SCENE_PRESETS = 50;
+const LOG_DIR = path.join(ADMIN_DATA_DIR, "logs");
+const LOG_FILE_REGEX = /^server-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.jsonl$/;
+const LOG_FILE_MAX_BYTES = 10 * 1024 * 1024;
+const LOG_RETENTION_DAYS = Math.max(1, Number(process.env.LOG_RETENTION_DAYS) || 14);
+const LOG_QUERY_DEFAULT_LIMIT = 200;
+const LOG_QUERY_MAX_LIMIT = 1000;
+const LOG_NICKNAME_FIELDS = ["nickname", "player", "cameraNickname"];
+const ADMIN_ROLES = ["observer", "operator", "owner"];
+const ADMIN_USERNAME_REGEX = /^[a-z0-9._-]{2,32}$/;
+const ADMIN_PASSWORD_MIN_LENGTH = 8;
+const ADMIN_AUTH_CACHE_TTL_MS = 5 * 60 * 1000;
+const ADMIN_READ_ONLY_POST_PATHS = new Set(["/api/admin/socket-token"]);
+const MAX_PLAYER_ALIASES = 16;
+const TEAM_CATALOGUE_PATH = path.join(ADMIN_DATA_DIR, "teams.json");
+const TEAM_IMPORT_CACHE_PATH = path.join(ADMIN_DATA_DIR, "teams-import.json");
+const TEAM_LOGO_DIR = path.join(ADMIN_DATA_DIR, "team-logos");
+const TEAM_LOGO_URL_PREFIX = "/assets/team-logos";
+const TEAM_LOGO_MAX_BYTES = 2_000_000;
+const TEAM_LOGO_TYPES = {
+  "image/png": "png",
+  "image/svg+xml": "svg",
+  "image/webp": "webp",
+};
+const TEAM_LOGO_VARIANTS = ["logo", "altLogo", "mapLogo"];
+const TEAM_IMPORT_URL = process.env.TEAM_IMPORT_URL || "https://waywayway-production.up.railway.app/teams";
+const WHEP_TOKEN = process.env.WHEP_TOKEN || "";
+const WHEP_ANSWER_TIMEOUT_MS = 10_000;
+const WHEP_CANDIDATE_GATHER_MS = 1_500;
+const WHEP_IDLE_TIMEOUT_MS = 60_000;
+const WHEP_IDLE_SWEEP_MS = 15_000;
 const VISIBILITY_SECTIONS = ["hidden", "quality", "forceTurn", "codec"];
 const PUBLIC_DIR = path.join(__dirname, "public");
-const IPV4_REGEX = /^(25[0-5]|2[0-4]\d|[01]?\d\d?)(\.(25[0-5]|2[0-4]\d|[01]?\d\d?)){3}$/;
+const ALLOWLIST_PRUNE_INTERVAL_MS = 60_000;
 const STEAM_UNIVERSE_SHIFT = 56n;
 const STEAM_TYPE_SHIFT = 52n;
 const STEAM_INSTANCE_SHIFT = 32n;
 const STEAM_TYPE_INDIVIDUAL = 1n;
 const STEAM_INSTANCE_DESKTOP = 1n;
+const GSI_TOKEN_BYTES = 24;
+const GSI_TOKEN_MIN_LENGTH = 8;
+const GSI_REJECT_LOG_INTERVAL_MS = 10_000;
+const GSI_DEFAULT_SOURCE_ID = "default";
+const GSI_DEFAULT_FAILOVER_SECONDS = 15;
+const GSI_SOURCE_IDLE_MS = 10 * 60_000;
+const GSI_MAX_UNCONFIGURED_SOURCES = 8;
+const PUBLISHER_INVITE_SECRET = process.env.PUBLISHER_INVITE_SECRET || "";
+const PUBLISHER_INVITE_DEFAULT_TTL_HOURS = 72;
+const PUBLISHER_INVITE_MAX_TTL_HOURS = 24 * 90;
+const ADMIN_SOCKET_TOKEN_TTL_MS = 60_000;
+const ADMIN_PUSH_COALESCE_MS = 250;
+const PUBLISHER_METRICS_WINDOW_MS = 10 * 60_000;
+const PUBLISHER_METRICS_MIN_INTERVAL_MS = 1_000;
+const PUBLISHER_METRICS_MAX_VIEWERS = 32;
+const QUALITY_LIMITATION_REASONS = new Set(["none", "cpu", "bandwidth", "other"]);
+const ADMIN_SOCKET_TOKEN_SECRET = crypto.randomBytes(32);
+const SOCKET_ROLE_ALIASES = { "viewer-admin": "admin" };
+const PRIVILEGED_SOCKET_ROLES = new Set(["admin"]);
+const VIEWER_SOCKET_MESSAGES = ["HELLO", "VIEWER_OFFER", "VIEWER_ICE", "VIEWER_STOP"];
+const SOCKET_ROLE_MESSAGES = {
+  unregistered: new Set(["HELLO"]),
+  viewer: new Set(VIEWER_SOCKET_MESSAGES),
+  admin: new Set([...VIEWER_SOCKET_MESSAGES, "ADMIN_SUBSCRIBE", "ADMIN_UNSUBSCRIBE"]),
+  publisher: new Set([
+    "HELLO",
+    "PUBLISHER_ANSWER",
+    "PUBLISHER_ICE",
+    "PUBLISHER_PEER_CLOSED",
+    "PUBLISHER_NEGOTIATED",
+    "PUBLISHER_METRICS",
+    "PUBLISHER_QUALITY_APPLIED",
+  ]),
+};
+const PUBLISHER_RESUME_GRACE_MS = Math.round(
+  Math.min(600, Math.max(0, Number(process.env.PUBLISHER_RESUME_GRACE_SECONDS ?? 20) || 0)) * 1000
+);
+const DEFAULT_FOCUS_POLICY = {
+  minDwellMs: 2000,
+  debounceMs: 500,
+  ignoreDead: false,
+};
+const AUTO_DIRECTOR_MODES = new Set(["off", "suggest", "auto"]);
+const DEFAULT_AUTO_DIRECTOR = {
+  mode: "off",
+  killWindowSeconds: 8,
+  weights: {
+    recentKill: 30,
+    bombCarrier: 20,
+    clutch: 50,
+    lowHpDuel: 15,
+  },
+};
 
 function buildSteam64(universe, type, instance, accountId) {
   return ((universe << STEAM_UNIVERSE_SHIFT) | (type << STEAM_TYPE_SHIFT) | (instance << STEAM_INSTANCE_SHIFT) | accountId).toString();
@@ -153,17 +250,52 @@ function normalizeIp(ip) {
   if (!ip) {
     return "";
   }
-  if (ip.startsWith("::ffff:")) {
-    return ip.slice(7);
+  let value = String(ip).trim().toLowerCase();
+  const zoneIndex = value.indexOf("%");
+  if (zoneIndex !== -1) {
+    value = value.slice(0, zoneIndex);
   }
-  if (ip === "::1") {
+  if (value.startsWith("::ffff:") && net.isIPv4(value.slice(7))) {
+    return value.slice(7);
+  }
+  if (value === "::1") {
     return "127.0.0.1";
   }
-  return ip;
+  return value;
+}
+
+// Allowlist entries are single addresses or CIDR ranges of either family.
+function parseAllowlistEntry(value) {
+  const [address, prefixText, extra] = normalizeIp(value).split("/");
+  const family = net.isIP(address || "");
+  if (!family || extra !== undefined) {
+    return null;
+  }
+  if (prefixText === undefined) {
+    return { address, prefix: null, family };
+  }
+
+  const prefix = /^\d{1,3}$/.test(prefixText) ? Number(prefixText) : NaN;
+  if (!(prefix >= 0 && prefix <= (family === 6 ? 128 : 32))) {
+    return null;
+  }
+  return { address, prefix, family };
 }
 
 function isValidIp(ip) {
-  return IPV4_REGEX.test(ip);
+  return Boolean(parseAllowlistEntry(ip));
+}
+
+function parseAllowlistExpiry(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  const timestamp = Date.parse(value);
+  return Number.isFinite(timestamp) ? new Date(timestamp).toISOString() : undefined;
+}
+
+function isAllowlistEntryActive(entry, now = Date.now()) {
+  return !entry.expiresAt || Date.parse(entry.expiresAt) > now;
 }
 
 function ensureOwnerIp(config) {
@@ -171,10 +303,13 @@ function ensureOwnerIp(config) {
     config.allowedIps = [];
   }
 
-  const exists = config.allowedIps.some(
+  const existing = config.allowedIps.find(
     (entry) => normalizeIp(entry?.ip || entry) === OWNER_IP
   );
-  if (!exists) {
+  if (existing && typeof existing === "object") {
+    existing.expiresAt = null;
+  }
+  if (!existing) {
     config.allowedIps.push({
       ip: OWNER_IP,
       label: "Primary owner",
@@ -222,30 +357,131 @@ function loadAdminConfig() {
         label: typeof entry?.label === "string" ? entry.label : "",
         addedAt: entry?.addedAt || new Date().toISOString(),
         addedBy: entry?.addedBy || "unknown",
+        expiresAt: parseAllowlistExpiry(entry?.expiresAt) || null,
       };
     })
     .filter((entry) => entry.ip && isValidIp(entry.ip));
 
   ensureQualityConfigShape(config);
+  ensureGsiConfigShape(config);
+  ensureFocusPolicyShape(config);
+  ensureAutoDirectorShape(config);
+  ensureTeamOverridesShape(config);
+  ensurePublisherInvitesShape(config);
   ensureOwnerIp(config);
   adminConfig = config;
 
   try {
-    fs.writeFileSync(ADMIN_CONFIG_PATH, JSON.stringify(adminConfig, null, 2));
+    writeFileAtomicSync(ADMIN_CONFIG_PATH, JSON.stringify(adminConfig, null, 2));
   } catch (error) {
     console.warn("Failed to persist admin config", error);
   }
 }
 
 async function persistAdminConfig() {
-  await fsPromises.mkdir(ADMIN_DATA_DIR, { recursive: true });
+  await writeDataFile(ADMIN_CONFIG_PATH, adminConfig);
+}
+
+function buildTempPath(filePath) {
+  return `${filePath}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+}
+
+function writeFileAtomicSync(filePath, contents) {
+  const tempPath = buildTempPath(filePath);
+  fs.writeFileSync(tempPath, contents);
+  try {
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+// Readers never see a half-written file: the rename replaces it in one step.
+async function writeFileAtomic(filePath, contents) {
+  const tempPath = buildTempPath(filePath);
+  await fsPromises.writeFile(tempPath, contents);
+  try {
+    await fsPromises.rename(tempPath, filePath);
+  } catch (error) {
+    await fsPromises.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+async function listDataSnapshots() {
+  let names = [];
+  try {
+    names = await fsPromises.readdir(DATA_SNAPSHOT_DIR);
+  } catch (error) {
+    return [];
+  }
+
+  const snapshots = [];
+  for (const id of names.filter((name) => DATA_SNAPSHOT_ID_REGEX.test(name)).sort().reverse()) {
+    try {
+      const meta = JSON.parse(await fsPromises.readFile(path.join(DATA_SNAPSHOT_DIR, id, "snapshot.json"), "utf-8"));
+      snapshots.push({
+        id,
+        kind: meta.kind === "auto" ? "auto" : "manual",
+        reason: meta.reason || null,
+        files: Array.isArray(meta.files) ? meta.files : [],
+        createdAt: meta.createdAt || null,
+        createdBy: meta.createdBy || null,
+      });
+    } catch (error) {
+      // skip snapshots without metadata
+    }
+  }
+  return snapshots;
+}
+
+// Per-write ("auto") snapshots and import/rollback ("manual") ones are pruned
+// separately, so routine saves never evict a restore point an admin made.
+// Snapshots that a rollback is currently reading are never pruned.
+async function pruneDataSnapshots(kind) {
+  const limit = kind === "auto" ? DATA_SNAPSHOT_AUTO_LIMIT : DATA_SNAPSHOT_LIMIT;
+  const snapshots = (await listDataSnapshots()).filter((snapshot) => snapshot.kind === kind);
+  const stale = snapshots.slice(limit).filter((snapshot) => !restoringDataSnapshots.has(snapshot.id));
+  for (const snapshot of stale) {
+    await fsPromises.rm(path.join(DATA_SNAPSHOT_DIR, snapshot.id), { recursive: true, force: true });
+  }
+}
+
+async function snapshotDataFiles(filePaths, reason, createdBy = null, { kind = "manual" } = {}) {
+  const existing = filePaths.filter((filePath) => fs.existsSync(filePath));
+  if (!existing.length) {
+    return null;
+  }
+
+  const createdAt = new Date().toISOString();
+  const id = `${createdAt.replace(/[:.]/g, "-")}-${crypto.randomBytes(2).toString("hex")}`;
+  const directory = path.join(DATA_SNAPSHOT_DIR, id);
+  await fsPromises.mkdir(directory, { recursive: true });
+  for (const filePath of existing) {
+    await fsPromises.copyFile(filePath, path.join(directory, path.basename(filePath)));
+  }
   await fsPromises.writeFile(
-    ADMIN_CONFIG_PATH,
-    JSON.stringify(adminConfig, null, 2)
+    path.join(directory, "snapshot.json"),
+    JSON.stringify({ id, kind, reason, files: existing.map((filePath) => path.basename(filePath)), createdAt, createdBy }, null, 2)
   );
+  await pruneDataSnapshots(kind);
+  return id;
 }
 
-function isIpAllowed(ip) {
+async function writeDataFile(filePath, data, { snapshot = true } = {}) {
+  await fsPromises.mkdir(ADMIN_DATA_DIR, { recursive: true });
+  if (snapshot) {
+    try {
+      await snapshotDataFiles([filePath], `write ${path.basename(filePath)}`, null, { kind: "auto" });
+    } catch (error) {
+      console.warn("Failed to snapshot data file", path.basename(filePath), error);
+    }
+  }
+  await writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+}
+
+function isIpAllowed(ip, allowedIps = adminConfig.allowedIps) {
   const normalized = normalizeIp(ip);
   if (!normalized) {
     return false;
@@ -253,364 +489,1185 @@ function isIpAllowed(ip) {
   if (normalized === "127.0.0.1" && process.env.ALLOW_LOCAL_ADMIN === "true") {
     return true;
   }
-  return adminConfig.allowedIps.some((entry) => entry.ip === normalized);
+
+  const family = net.isIP(normalized);
+  if (!family) {
+    return false;
+  }
+
+  const blockList = new net.BlockList();
+  const now = Date.now();
+  for (const entry of allowedIps) {
+    const parsed = isAllowlistEntryActive(entry, now) ? parseAllowlistEntry(entry.ip) : null;
+    if (!parsed) {
+      continue;
+    }
+    const type = parsed.family === 6 ? "ipv6" : "ipv4";
+    if (parsed.prefix === null) {
+      blockList.addAddress(parsed.address, type);
+    } else {
+      blockList.addSubnet(parsed.address, parsed.prefix, type);
+    }
+  }
+  return blockList.check(normalized, family === 6 ? "ipv6" : "ipv4");
 }
 
-let gsiState = {
-  players: {},
-  currentFocus: null,
-  teamNames: {
-    CT: null,
-    T: null,
-  },
-};
+async function pruneExpiredAllowlistEntries() {
+  const now = Date.now();
+  const expired = adminConfig.allowedIps.filter((entry) => !isAllowlistEntryActive(entry, now));
+  if (!expired.length) {
+    return;
+  }
 
-let latestGSI = null;
+  const previous = adminConfig.allowedIps;
+  adminConfig.allowedIps = previous.filter((entry) => isAllowlistEntryActive(entry, now));
+  try {
+    await persistAdminConfig();
+  } catch (error) {
+    console.error("Failed to persist pruned allowlist", error);
+    adminConfig.allowedIps = previous;
+    return;
+  }
 
-const playerDirectory = {
-  bySteamId: new Map(),
-  byNameLower: new Map(),
-  byObserverSlot: new Map(),
-};
+  for (const entry of expired) {
+    logEvent("admin", "Expired IP removed from allowlist", {
+      ip: entry.ip,
+      label: entry.label,
+      expiresAt: entry.expiresAt,
+      addedBy: entry.addedBy,
+    });
+  }
+}
 
-const forcedFallback = new Map();
+function generatePublisherInviteId() {
+  return `inv-${crypto.randomBytes(6).toString("hex")}`;
+}
 
-const serverLogs = [];
-const logStreamClients = new Set();
-let nextLogId = 1;
-const MAX_LOG_ENTRIES = 1000;
-const LOG_HEARTBEAT_MS = 15000;
+function ensurePublisherInvitesShape(config) {
+  if (!config.publisherInvites || typeof config.publisherInvites !== "object") {
+    config.publisherInvites = {};
+  }
 
-const QUALITY_PROFILES = {
-  LOW: {
-    maxBitrate: 400_000,
-    maxFramerate: 20,
-    scaleResolutionDownBy: 2,
-  },
-  MED: {
-    maxBitrate: 1_200_000,
-    maxFramerate: 30,
-    scaleResolutionDownBy: 1.25,
-  },
-  HIGH: {
-    maxBitrate: 2_400_000,
-    maxFramerate: 60,
-    scaleResolutionDownBy: 1,
-  },
-};
+  const settings = config.publisherInvites;
+  settings.openRegistration = settings.openRegistration === true;
+  if (typeof settings.secret !== "string" || settings.secret.length < 32) {
+    settings.secret = crypto.randomBytes(32).toString("base64url");
+  }
 
-const QUALITY_PROFILE_NAMES = new Set(["LOW", "MED", "HIGH", "CUSTOM"]);
-const QUALITY_PROFILE_ORDER = ["HIGH", "MED", "LOW"];
-const DEFAULT_CUSTOM_PROFILE = {
-  maxBitrate: 1_800_000,
-  maxFramerate: 30,
-  scaleResolutionDownBy: 1,
-};
+  const now = Date.now();
+  const seenIds = new Set();
+  const invites = [];
+  for (const rawInvite of Array.isArray(settings.invites) ? settings.invites : []) {
+    const nickname = sanitizeNickname(rawInvite?.nickname);
+    const key = normalizeNicknameKey(nickname);
+    const expiresAt = Date.parse(rawInvite?.expiresAt);
+    const id = typeof rawInvite?.id === "string" ? rawInvite.id.trim() : "";
+    if (!id || seenIds.has(id) || !key || !Number.isFinite(expiresAt) || expiresAt <= now) {
+      continue;
+    }
 
-loadAdminConfig();
+    seenIds.add(id);
+    invites.push({
+      id,
+      nickname,
+      steamId: normalizeSteamId(typeof rawInvite.steamId === "string" ? rawInvite.steamId : ""),
+      label: typeof rawInvite.label === "string" ? rawInvite.label.trim().slice(0, 64) : "",
+      expiresAt: new Date(expiresAt).toISOString(),
+      createdAt: rawInvite.createdAt || new Date().toISOString(),
+      createdBy: rawInvite.createdBy || "unknown",
+    });
+  }
 
-function logEvent(type, message, detail = null) {
-  const entry = {
-    id: nextLogId++,
-    timestamp: new Date().toISOString(),
-    type,
-    message,
-  };
+  settings.invites = invites;
+  return settings;
+}
 
-  if (detail && typeof detail === "object" && Object.keys(detail).length) {
-    entry.detail = detail;
+function getPublisherInviteSecret() {
+  return PUBLISHER_INVITE_SECRET || adminConfig.publisherInvites?.secret || "";
+}
+
+function signPublisherInvitePayload(payload) {
+  return crypto.createHmac("sha256", getPublisherInviteSecret()).update(payload).digest("base64url");
+}
+
+function buildPublisherInviteToken(invite) {
+  const payload = Buffer.from(
+    JSON.stringify({ id: invite.id, nick: normalizeNicknameKey(invite.nickname), exp: Date.parse(invite.expiresAt) })
+  ).toString("base64url");
+  return `${payload}.${signPublisherInvitePayload(payload)}`;
+}
+
+function verifyPublisherInviteToken(token, nicknameKey) {
+  if (typeof token !== "string" || !token.includes(".") || token.length > 512) {
+    return { ok: false, reason: "missing invite" };
   }
 
-  serverLogs.push(entry);
-  if (serverLogs.length > MAX_LOG_ENTRIES) {
-    serverLogs.shift();
+  const [payload, signature] = token.trim().split(".");
+  const expected = Buffer.from(signPublisherInvitePayload(payload || ""));
+  const provided = Buffer.from(signature || "");
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return { ok: false, reason: "invalid invite signature" };
   }
 
-  const payload = `event: log\ndata:${JSON.stringify(entry)}\n\n`;
-  for (const client of logStreamClients) {
-    try {
-      client.write(payload);
-    } catch (error) {
-      logStreamClients.delete(client);
-    }
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf-8"));
+  } catch (error) {
+    return { ok: false, reason: "malformed invite" };
   }
-}
 
-function clampNumber(value, min, max, fallback) {
-  const numeric = Number(value);
-  if (!Number.isFinite(numeric)) {
-    return fallback;
+  if (!Number.isFinite(claims?.exp) || claims.exp <= Date.now()) {
+    return { ok: false, reason: "invite expired" };
   }
-  return Math.min(max, Math.max(min, numeric));
+
+  const invite = (adminConfig.publisherInvites?.invites || []).find((entry) => entry.id === claims.id);
+  if (!invite) {
+    return { ok: false, reason: "invite revoked" };
+  }
+
+  if (claims.nick !== nicknameKey) {
+    return { ok: false, reason: "invite is for another nickname" };
+  }
+
+  return { ok: true, invite };
 }
 
-function sanitizeQualityParams(input, fallback = DEFAULT_CUSTOM_PROFILE) {
-  const base = fallback || DEFAULT_CUSTOM_PROFILE;
-  const source = input && typeof input === "object" ? input : {};
+function authorizePublisherHello(nicknameKey, token) {
+  if (token) {
+    const result = verifyPublisherInviteToken(token, nicknameKey);
+    if (result.ok || !adminConfig.publisherInvites?.openRegistration) {
+      return result;
+    }
+  }
 
-  const bitrate = clampNumber(source.maxBitrate, 100_000, 8_000_000, base.maxBitrate);
-  const framerate = clampNumber(source.maxFramerate, 10, 120, base.maxFramerate);
-  const scale = clampNumber(
-    source.scaleResolutionDownBy,
-    1,
-    4,
-    base.scaleResolutionDownBy
-  );
+  if (adminConfig.publisherInvites?.openRegistration) {
+    return { ok: true, invite: null };
+  }
 
-  return {
-    maxBitrate: Math.round(bitrate),
-    maxFramerate: Math.round(framerate),
-    scaleResolutionDownBy: Number(scale.toFixed(2)),
-  };
+  return { ok: false, reason: "missing invite" };
 }
 
-function normalizeProfileName(value) {
-  const name = typeof value === "string" ? value.trim().toUpperCase() : "";
-  return QUALITY_PROFILE_NAMES.has(name) ? name : null;
+// Invite tokens grant publish access, so read-only accounts only see the metadata.
+function listPublisherInvites(baseUrl = "", { includeTokens = true } = {}) {
+  const connected = new Map();
+  for (const entry of publishers.values()) {
+    if (entry.inviteId) {
+      connected.set(entry.inviteId, entry.nickname);
+    }
+  }
+
+  return (adminConfig.publisherInvites?.invites || []).map((invite) => {
+    if (!includeTokens) {
+      return { ...invite, token: null, link: null, connected: connected.has(invite.id) };
+    }
+    const token = buildPublisherInviteToken(invite);
+    const query = new URLSearchParams({ invite: token, nickname: invite.nickname });
+    return {
+      ...invite,
+      token,
+      link: `${baseUrl}/register.html?${query.toString()}`,
+      connected: connected.has(invite.id),
+    };
+  });
 }
 
-function ensureQualityConfigShape(config) {
-  if (!config.quality || typeof config.quality !== "object") {
-    config.quality = {};
+function sanitizeGsiToken(value) {
+  if (typeof value !== "string") {
+    return null;
   }
+  const trimmed = value.trim();
+  if (trimmed.length < GSI_TOKEN_MIN_LENGTH || trimmed.length > 256) {
+    return null;
+  }
+  return trimmed;
+}
 
-  const quality = config.quality;
-  const defaultProfile = normalizeProfileName(quality.defaultProfile) || "HIGH";
-  quality.defaultProfile = defaultProfile;
-  quality.defaultCustom = sanitizeQualityParams(quality.defaultCustom, DEFAULT_CUSTOM_PROFILE);
+function generateGsiToken() {
+  return crypto.randomBytes(GSI_TOKEN_BYTES).toString("base64url");
+}
 
-  const overrides = {};
-  if (quality.cameraOverrides && typeof quality.cameraOverrides === "object") {
-    for (const [rawKey, rawValue] of Object.entries(quality.cameraOverrides)) {
-      const nickname = sanitizeNickname(rawValue?.nickname || rawKey);
-      const key = normalizeNicknameKey(nickname || rawKey);
-      if (!key) {
-        continue;
-      }
+function generateGsiSourceId() {
+  return `gsi-${crypto.randomBytes(4).toString("hex")}`;
+}
 
-      const profileName = normalizeProfileName(
-        (rawValue && typeof rawValue === "object" ? rawValue.profile : rawValue) || ""
-      );
-      if (!profileName) {
-        continue;
-      }
+function ensureGsiConfigShape(config) {
+  if (!config.gsi || typeof config.gsi !== "object") {
+    config.gsi = {};
+  }
 
-      const entry = {
-        profile: profileName,
-        nickname: nickname || rawValue?.nickname || rawKey,
-      };
+  const gsi = config.gsi;
+  const seenIds = new Set();
+  const seenTokens = new Set();
+  const sources = [];
 
-      if (profileName === "CUSTOM") {
-        const customSource =
-          (rawValue && typeof rawValue === "object" && (rawValue.custom || rawValue.params || rawValue.settings)) ||
-          null;
-        entry.custom = sanitizeQualityParams(customSource, quality.defaultCustom);
-      }
+  for (const rawSource of Array.isArray(gsi.sources) ? gsi.sources : []) {
+    const token = sanitizeGsiToken(rawSource?.token);
+    if (!token || seenTokens.has(token)) {
+      continue;
+    }
 
-      overrides[key] = entry;
+    let id = typeof rawSource?.id === "string" && rawSource.id.trim() ? rawSource.id.trim() : generateGsiSourceId();
+    while (seenIds.has(id)) {
+      id = generateGsiSourceId();
     }
+
+    seenIds.add(id);
+    seenTokens.add(token);
+    sources.push({
+      id,
+      label: typeof rawSource?.label === "string" ? rawSource.label.trim() : "",
+      token,
+      createdAt: rawSource?.createdAt || new Date().toISOString(),
+      createdBy: rawSource?.createdBy || "unknown",
+    });
   }
 
-  quality.cameraOverrides = overrides;
-  return quality;
+  gsi.sources = sources;
+  gsi.primarySourceId =
+    typeof gsi.primarySourceId === "string" && gsi.primarySourceId.trim() ? gsi.primarySourceId.trim() : null;
+  gsi.failoverSeconds = Math.round(
+    clampNumber(gsi.failoverSeconds, 2, 300, GSI_DEFAULT_FAILOVER_SECONDS)
+  );
+  return gsi;
 }
 
-function resolveQualityProfile(profileName, customOverride) {
-  const normalized = normalizeProfileName(profileName) || "HIGH";
-  if (normalized === "CUSTOM") {
-    return sanitizeQualityParams(
-      customOverride,
-      adminConfig.quality?.defaultCustom || DEFAULT_CUSTOM_PROFILE
-    );
+function maskGsiToken(token) {
+  if (typeof token !== "string" || token.length < 8) {
+    return "****";
   }
+  return `${token.slice(0, 4)}…${token.slice(-4)}`;
+}
 
-  const base = QUALITY_PROFILES[normalized] || QUALITY_PROFILES.HIGH;
-  return { ...base };
+function listGsiSources() {
+  return (adminConfig.gsi?.sources || []).map((source) => ({
+    id: source.id,
+    label: source.label,
+    tokenPreview: maskGsiToken(source.token),
+    createdAt: source.createdAt,
+    createdBy: source.createdBy,
+  }));
 }
 
-function getEffectiveQualityForKey(key) {
-  const quality = adminConfig.quality || {};
-  const overrides = quality.cameraOverrides || {};
-  const override = key ? overrides[key] : null;
+function findGsiSourceByToken(token) {
+  const candidate = Buffer.from(token);
+  for (const source of adminConfig.gsi?.sources || []) {
+    const expected = Buffer.from(source.token);
+    if (expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate)) {
+      return source;
+    }
+  }
+  return null;
+}
 
-  const profileName = normalizeProfileName(override?.profile) || quality.defaultProfile || "HIGH";
-  const params = resolveQualityProfile(
-    profileName,
-    profileName === "CUSTOM" ? override?.custom : quality.defaultCustom
-  );
+function authenticateGsiPayload(data) {
+  const sources = adminConfig.gsi?.sources || [];
+  if (!sources.length) {
+    return { ok: true, source: null };
+  }
+
+  const token = sanitizeGsiToken(data?.auth?.token);
+  if (!token) {
+    return { ok: false, reason: "missing token" };
+  }
+
+  const source = findGsiSourceByToken(token);
+  if (!source) {
+    return { ok: false, reason: "unknown token" };
+  }
+
+  return { ok: true, source };
+}
+
+function buildGsiConfigFile(source, uri) {
+  const title = `BikeCam GSI${source.label ? ` - ${source.label}` : ""}`.replace(/"/g, "'");
+  const dataKeys = [
+    "provider",
+    "map",
+    "round",
+    "player_id",
+    "player_state",
+    "player_match_stats",
+    "allplayers_id",
+    "allplayers_state",
+    "allplayers_match_stats",
+    "allplayers_position",
+    "phase_countdowns",
+    "bomb",
+  ];
+
+  const lines = [
+    `"${title}"`,
+    "{",
+    `  "uri" "${uri}"`,
+    `  "timeout" "5.0"`,
+    `  "buffer" "0.1"`,
+    `  "throttle" "0.1"`,
+    `  "heartbeat" "10.0"`,
+    `  "auth"`,
+    "  {",
+    `    "token" "${source.token}"`,
+    "  }",
+    `  "data"`,
+    "  {",
+    ...dataKeys.map((key) => `    "${key}" "1"`),
+    "  }",
+    "}",
+    "",
+  ];
+
+  return lines.join("\r\n");
+}
+
+const GSI_TEAM_SIDES = ["CT", "T"];
+let teamIdentities = [];
+
+let gsiState = {
+  players: {},
+  currentFocus: null,
+  teamNames: {
+    CT: null,
+    T: null,
+  },
+};
+
+let latestGSI = null;
+let matchState = null;
+const focusTracker = {
+  committedAt: 0,
+  pending: null,
+  timer: null,
+};
+let focusLock = null;
+const gameEvents = [];
+const gameEventStreamClients = new Set();
+let nextGameEventId = 1;
+const MAX_GAME_EVENTS = 200;
+const autoDirectorState = {
+  suggestion: null,
+};
+const gsiRejectLogTimestamps = new Map();
+const gsiSources = new Map();
+let activeGsiSourceId = null;
 
+function createPlayerDirectory() {
   return {
-    profile: profileName,
-    params,
-    source: override ? "override" : "default",
+    bySteamId: new Map(),
+    byNameLower: new Map(),
+    byObserverSlot: new Map(),
   };
 }
 
-function sendQualityProfileUpdate(entry) {
-  if (!entry || !entry.socket) {
-    return;
+const forcedFallback = new Map();
+
+const serverLogs = [];
+const logStreamClients = new Set();
+let nextLogId = 1;
+const MAX_LOG_ENTRIES = 1000;
+const LOG_HEARTBEAT_MS = 15000;
+let currentLogFile = null;
+let logWriteQueue = [];
+let logFlushScheduled = false;
+let logWritePromise = Promise.resolve();
+
+function listLogFiles() {
+  let names = [];
+  try {
+    names = fs.readdirSync(LOG_DIR);
+  } catch (error) {
+    return [];
   }
 
-  const effective = getEffectiveQualityForKey(entry.key);
-  sendJson(entry.socket, {
-    type: "QUALITY_PROFILE",
-    nickname: entry.nickname,
-    profile: effective.profile,
-    params: effective.params,
-  });
+  return names
+    .map((name) => {
+      const match = name.match(LOG_FILE_REGEX);
+      return match ? { name, path: path.join(LOG_DIR, name), day: match[1], index: Number(match[2] || 0) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.day.localeCompare(b.day) || a.index - b.index);
 }
 
-function notifyQualityProfileForKey(key) {
-  const entry = key ? publishers.get(key) : null;
-  if (entry) {
-    sendQualityProfileUpdate(entry);
+function buildLogFile(day, index) {
+  const name = `server-${day}${index ? `.${index}` : ""}.jsonl`;
+  return { name, path: path.join(LOG_DIR, name), day, index, size: 0 };
+}
+
+function pruneLogFiles() {
+  const cutoff = new Date(Date.now() - LOG_RETENTION_DAYS * 86_400_000).toISOString().slice(0, 10);
+  for (const file of listLogFiles()) {
+    if (file.day >= cutoff) {
+      break;
+    }
+    try {
+      fs.unlinkSync(file.path);
+    } catch (error) {
+      console.warn("Failed to remove old log file", file.name, error);
+    }
   }
 }
 
-function rebuildPlayerDirectory(players) {
-  playerDirectory.bySteamId.clear();
-  playerDirectory.byNameLower.clear();
-  playerDirectory.byObserverSlot.clear();
+function loadPersistedLogs() {
+  try {
+    fs.mkdirSync(LOG_DIR, { recursive: true });
+  } catch (error) {
+    console.warn("Failed to prepare log directory", error);
+    return;
+  }
 
-  if (!players || typeof players !== "object") {
+  pruneLogFiles();
+  const files = listLogFiles();
+  const latest = files[files.length - 1];
+  if (!latest) {
     return;
   }
 
-  for (const info of Object.values(players)) {
-    if (!info) {
-      continue;
+  try {
+    const raw = fs.readFileSync(latest.path, "utf-8");
+    currentLogFile = { ...latest, size: Buffer.byteLength(raw) };
+    const lines = raw.split("\n").filter(Boolean).slice(-MAX_LOG_ENTRIES);
+    for (const line of lines) {
+      try {
+        serverLogs.push(JSON.parse(line));
+      } catch (error) {
+        // skip truncated lines
+      }
     }
+    const lastId = serverLogs[serverLogs.length - 1]?.id;
+    if (Number.isFinite(lastId)) {
+      nextLogId = lastId + 1;
+    }
+  } catch (error) {
+    console.warn("Failed to read persisted logs", error);
+  }
+}
 
-    const steamId = typeof info.steamId === "string" && info.steamId.trim() ? info.steamId.trim() : null;
-    const name = typeof info.name === "string" ? info.name.trim() : "";
-    const nameLower = name ? name.toLowerCase() : "";
-    const observerSlotRaw = Number(info.observer_slot);
-    const observerSlot = Number.isFinite(observerSlotRaw) && observerSlotRaw > 0 ? observerSlotRaw : null;
+async function appendLogLines(lines) {
+  const data = `${lines.join("\n")}\n`;
+  const bytes = Buffer.byteLength(data);
+  const day = new Date().toISOString().slice(0, 10);
 
-    if (steamId) {
-      playerDirectory.bySteamId.set(steamId, info);
-    }
+  if (!currentLogFile || currentLogFile.day !== day) {
+    currentLogFile = buildLogFile(day, 0);
+    pruneLogFiles();
+  } else if (currentLogFile.size > 0 && currentLogFile.size + bytes > LOG_FILE_MAX_BYTES) {
+    currentLogFile = buildLogFile(day, currentLogFile.index + 1);
+  }
 
-    if (nameLower) {
-      playerDirectory.byNameLower.set(nameLower, info);
-    }
+  await fsPromises.mkdir(LOG_DIR, { recursive: true });
+  await fsPromises.appendFile(currentLogFile.path, data);
+  currentLogFile.size += bytes;
+}
 
-    if (observerSlot) {
-      let bucket = playerDirectory.byObserverSlot.get(observerSlot);
-      if (!bucket) {
-        bucket = [];
-        playerDirectory.byObserverSlot.set(observerSlot, bucket);
-      }
-      bucket.push(info);
-    }
+function flushLogQueue() {
+  logFlushScheduled = false;
+  if (!logWriteQueue.length) {
+    return logWritePromise;
   }
+
+  const lines = logWriteQueue;
+  logWriteQueue = [];
+  logWritePromise = logWritePromise
+    .then(() => appendLogLines(lines))
+    .catch((error) => {
+      console.warn("Failed to write server log", error);
+    });
+  return logWritePromise;
 }
 
-function getForcedFallbackList() {
-  return Array.from(forcedFallback.values()).sort((a, b) => a.localeCompare(b));
+function parseLogFilter(query = {}) {
+  const list = (value) =>
+    (Array.isArray(value) ? value.join(",") : typeof value === "string" ? value : "")
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+  const time = (value) => {
+    const timestamp = typeof value === "string" && value ? Date.parse(value) : NaN;
+    return Number.isFinite(timestamp) ? timestamp : null;
+  };
+
+  const types = list(query.type);
+  const text = typeof query.q === "string" ? query.q.trim().toLowerCase() : "";
+  return {
+    types: types.length ? new Set(types) : null,
+    nickname: normalizeNicknameKey(typeof query.nickname === "string" ? query.nickname : "") || null,
+    from: time(query.from),
+    to: time(query.to),
+    text: text || null,
+  };
 }
 
-function broadcastForcedFallback() {
-  broadcast({
-    type: "FORCED_FALLBACK",
-    nicknames: getForcedFallbackList(),
-  });
+function isLogFilterEmpty(filter) {
+  return !filter || (!filter.types && !filter.nickname && filter.from === null && filter.to === null && !filter.text);
 }
 
-function extractClientIp(req) {
-  const forwarded = req.headers["x-forwarded-for"];
-  if (typeof forwarded === "string" && forwarded.length) {
-    const candidate = forwarded.split(",")[0].trim();
-    if (candidate) {
-      return normalizeIp(candidate);
+function matchesLogFilter(entry, filter) {
+  if (isLogFilterEmpty(filter)) {
+    return true;
+  }
+  if (filter.types && !filter.types.has(entry.type)) {
+    return false;
+  }
+
+  if (filter.from !== null || filter.to !== null) {
+    const timestamp = Date.parse(entry.timestamp);
+    if ((filter.from !== null && timestamp < filter.from) || (filter.to !== null && timestamp > filter.to)) {
+      return false;
     }
   }
-  return normalizeIp(req.ip || req.connection?.remoteAddress || "");
+
+  if (filter.nickname) {
+    const detail = entry.detail || {};
+    const matched = LOG_NICKNAME_FIELDS.some(
+      (field) => typeof detail[field] === "string" && normalizeNicknameKey(detail[field]) === filter.nickname
+    );
+    if (!matched) {
+      return false;
+    }
+  }
+
+  if (filter.text) {
+    const haystack = `${entry.message || ""} ${entry.detail ? JSON.stringify(entry.detail) : ""}`.toLowerCase();
+    if (!haystack.includes(filter.text)) {
+      return false;
+    }
+  }
+  return true;
 }
 
-function requireAdminAccess(req, res, next) {
-  const clientIp = extractClientIp(req);
-  if (!isIpAllowed(clientIp)) {
-    if (req.accepts(["json", "html"]) === "json") {
-      res.status(403).json({ error: "Forbidden" });
-    } else {
-      res.status(403).send("Forbidden");
+// Streams one JSONL file and keeps at most `keep` of its newest matching entries older
+// than `before`. Ids only grow, so reading stops at the first id that reaches `before`.
+async function readLogFileMatches(filePath, filter, before, keep) {
+  const matches = [];
+  const stream = fs.createReadStream(filePath, { encoding: "utf-8" });
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  try {
+    for await (const line of lines) {
+      if (!line) {
+        continue;
+      }
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+      if (before !== null && !(entry.id < before)) {
+        break;
+      }
+      if (!matchesLogFilter(entry, filter)) {
+        continue;
+      }
+      matches.push(entry);
+      if (matches.length > keep) {
+        matches.shift();
+      }
     }
-    return;
+  } finally {
+    lines.close();
+    stream.destroy();
   }
-  req.adminClientIp = clientIp;
-  next();
+  return matches;
 }
 
-function collectPublisherStats() {
-  const stats = [];
+// Visits the JSONL files newest-first and streams each one, so memory stays bounded by
+// `limit` no matter how much of the retention window a sparse filter has to scan.
+async function queryPersistedLogs(filter, { before = null, limit = LOG_QUERY_DEFAULT_LIMIT } = {}) {
+  await flushLogQueue();
 
-  for (const entry of publishers.values()) {
-    let connectionCount = 0;
-    const viewers = [];
+  const fromDay = filter.from !== null ? new Date(filter.from).toISOString().slice(0, 10) : null;
+  const toDay = filter.to !== null ? new Date(filter.to).toISOString().slice(0, 10) : null;
+  let results = [];
+  let hasMore = false;
 
-    for (const [viewerSocketId, connectionIds] of entry.viewers.entries()) {
-      const size = connectionIds.size;
-      connectionCount += size;
-      viewers.push({ viewerSocketId, connections: size });
+  const files = listLogFiles().reverse();
+  for (const file of files) {
+    if (toDay && file.day > toDay) {
+      continue;
+    }
+    if (fromDay && file.day < fromDay) {
+      break;
     }
 
-    const effectiveQuality = getEffectiveQualityForKey(entry.key);
+    let matches;
+    try {
+      // One extra entry tells whether an older page exists.
+      matches = await readLogFileMatches(file.path, filter, before, limit + 1 - results.length);
+    } catch (error) {
+      continue;
+    }
 
-    stats.push({
-      nickname: entry.nickname,
-      connections: connectionCount,
-      viewerCount: connectionCount,
-      uniqueViewers: viewers.length,
-      viewers,
-      forcedFallback: forcedFallback.has(entry.key),
-      qualityProfile: effectiveQuality.profile,
-    });
+    results = matches.concat(results);
+    if (results.length > limit) {
+      hasMore = true;
+      results = results.slice(-limit);
+      break;
+    }
   }
 
-  stats.sort((a, b) => a.nickname.localeCompare(b.nickname));
-  return stats;
+  return {
+    logs: results,
+    hasMore,
+    nextBefore: hasMore && results.length ? results[0].id : null,
+  };
 }
 
-function collectCameraSessions() {
-  const sessions = [];
+loadPersistedLogs();
 
-  for (const entry of publishers.values()) {
-    let connectionCount = 0;
-    for (const ids of entry.viewers.values()) {
-      connectionCount += ids.size;
-    }
+const QUALITY_PROFILES = {
+  LOW: {
+    maxBitrate: 400_000,
+    maxFramerate: 20,
+    scaleResolutionDownBy: 2,
+  },
+  MED: {
+    maxBitrate: 1_200_000,
+    maxFramerate: 30,
+    scaleResolutionDownBy: 1.25,
+  },
+  HIGH: {
+    maxBitrate: 2_400_000,
+    maxFramerate: 60,
+    scaleResolutionDownBy: 1,
+  },
+};
 
-    const effectiveQuality = getEffectiveQualityForKey(entry.key);
+const QUALITY_PROFILE_NAMES = new Set(["LOW", "MED", "HIGH", "CUSTOM"]);
+const QUALITY_PROFILE_ORDER = ["HIGH", "MED", "LOW"];
+const DEFAULT_CUSTOM_PROFILE = {
+  maxBitrate: 1_800_000,
+  maxFramerate: 30,
+  scaleResolutionDownBy: 1,
+};
 
-    sessions.push({
-      nickname: entry.nickname,
-      key: entry.key,
-      status: entry.status || "ONLINE",
-      connections: connectionCount,
-      uniqueViewers: entry.viewers.size,
-      forcedFallback: forcedFallback.has(entry.key),
-      lastSeen: entry.lastSeen || null,
-      connectedAt: entry.connectedAt || null,
-      qualityProfile: effectiveQuality.profile,
-      qualityParams: effectiveQuality.params,
-      metrics: entry.metrics || null,
-    });
-  }
+loadAdminConfig();
 
-  sessions.sort((a, b) => a.nickname.localeCompare(b.nickname));
-  return sessions;
-}
+function logEvent(type, message, detail = null) {
+  const entry = {
+    id: nextLogId++,
+    timestamp: new Date().toISOString(),
+    type,
+    message,
+  };
 
-function touchPublisher(entry) {
-  if (!entry) {
-    return;
+  if (detail && typeof detail === "object" && Object.keys(detail).length) {
+    entry.detail = detail;
   }
-  entry.lastSeen = Date.now();
-}
-
-const adminUser = process.env.ADMIN_USER || "admin";
-const adminPass = process.env.ADMIN_PASS || "changeme";
+
+  serverLogs.push(entry);
+  if (serverLogs.length > MAX_LOG_ENTRIES) {
+    serverLogs.shift();
+  }
+
+  const serialized = JSON.stringify(entry);
+  logWriteQueue.push(serialized);
+  if (!logFlushScheduled) {
+    logFlushScheduled = true;
+    setImmediate(flushLogQueue);
+  }
+
+  const payload = `event: log\ndata:${serialized}\n\n`;
+  for (const client of logStreamClients) {
+    if (!matchesLogFilter(entry, client.locals?.logFilter)) {
+      continue;
+    }
+    try {
+      client.write(payload);
+    } catch (error) {
+      logStreamClients.delete(client);
+    }
+  }
+}
+
+function clampNumber(value, min, max, fallback) {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)) {
+    return fallback;
+  }
+  return Math.min(max, Math.max(min, numeric));
+}
+
+function sanitizeQualityParams(input, fallback = DEFAULT_CUSTOM_PROFILE) {
+  const base = fallback || DEFAULT_CUSTOM_PROFILE;
+  const source = input && typeof input === "object" ? input : {};
+
+  const bitrate = clampNumber(source.maxBitrate, 100_000, 8_000_000, base.maxBitrate);
+  const framerate = clampNumber(source.maxFramerate, 10, 120, base.maxFramerate);
+  const scale = clampNumber(
+    source.scaleResolutionDownBy,
+    1,
+    4,
+    base.scaleResolutionDownBy
+  );
+
+  return {
+    maxBitrate: Math.round(bitrate),
+    maxFramerate: Math.round(framerate),
+    scaleResolutionDownBy: Number(scale.toFixed(2)),
+  };
+}
+
+function normalizeProfileName(value) {
+  const name = typeof value === "string" ? value.trim().toUpperCase() : "";
+  return QUALITY_PROFILE_NAMES.has(name) ? name : null;
+}
+
+function ensureQualityConfigShape(config) {
+  if (!config.quality || typeof config.quality !== "object") {
+    config.quality = {};
+  }
+
+  const quality = config.quality;
+  const defaultProfile = normalizeProfileName(quality.defaultProfile) || "HIGH";
+  quality.defaultProfile = defaultProfile;
+  quality.defaultCustom = sanitizeQualityParams(quality.defaultCustom, DEFAULT_CUSTOM_PROFILE);
+
+  const overrides = {};
+  if (quality.cameraOverrides && typeof quality.cameraOverrides === "object") {
+    for (const [rawKey, rawValue] of Object.entries(quality.cameraOverrides)) {
+      const nickname = sanitizeNickname(rawValue?.nickname || rawKey);
+      const key = normalizeNicknameKey(nickname || rawKey);
+      if (!key) {
+        continue;
+      }
+
+      const profileName = normalizeProfileName(
+        (rawValue && typeof rawValue === "object" ? rawValue.profile : rawValue) || ""
+      );
+      if (!profileName) {
+        continue;
+      }
+
+      const entry = {
+        profile: profileName,
+        nickname: nickname || rawValue?.nickname || rawKey,
+      };
+
+      if (profileName === "CUSTOM") {
+        const customSource =
+          (rawValue && typeof rawValue === "object" && (rawValue.custom || rawValue.params || rawValue.settings)) ||
+          null;
+        entry.custom = sanitizeQualityParams(customSource, quality.defaultCustom);
+      }
+
+      overrides[key] = entry;
+    }
+  }
+
+  quality.cameraOverrides = overrides;
+  return quality;
+}
+
+function resolveQualityProfile(profileName, customOverride) {
+  const normalized = normalizeProfileName(profileName) || "HIGH";
+  if (normalized === "CUSTOM") {
+    return sanitizeQualityParams(
+      customOverride,
+      adminConfig.quality?.defaultCustom || DEFAULT_CUSTOM_PROFILE
+    );
+  }
+
+  const base = QUALITY_PROFILES[normalized] || QUALITY_PROFILES.HIGH;
+  return { ...base };
+}
+
+function getEffectiveQualityForKey(key) {
+  const quality = adminConfig.quality || {};
+  const overrides = quality.cameraOverrides || {};
+  const override = key ? overrides[key] : null;
+
+  const profileName = normalizeProfileName(override?.profile) || quality.defaultProfile || "HIGH";
+  const params = resolveQualityProfile(
+    profileName,
+    profileName === "CUSTOM" ? override?.custom : quality.defaultCustom
+  );
+
+  return {
+    profile: profileName,
+    params,
+    source: override ? "override" : "default",
+  };
+}
+
+function sendQualityProfileUpdate(entry) {
+  if (!entry || !entry.socket) {
+    return;
+  }
+
+  const effective = getEffectiveQualityForKey(entry.key);
+  sendJson(entry.socket, {
+    type: "QUALITY_PROFILE",
+    nickname: entry.nickname,
+    profile: effective.profile,
+    params: effective.params,
+  });
+}
+
+function notifyQualityProfileForKey(key) {
+  const entry = key ? publishers.get(key) : null;
+  if (entry) {
+    sendQualityProfileUpdate(entry);
+  }
+  sendAdminUpdate("quality", { quality: buildQualitySummary() });
+  queueAdminCameraUpdate(key);
+}
+
+function rebuildPlayerDirectory(players, playerDirectory) {
+  playerDirectory.bySteamId.clear();
+  playerDirectory.byNameLower.clear();
+  playerDirectory.byObserverSlot.clear();
+
+  if (!players || typeof players !== "object") {
+    return;
+  }
+
+  for (const info of Object.values(players)) {
+    if (!info) {
+      continue;
+    }
+
+    const steamId = typeof info.steamId === "string" && info.steamId.trim() ? info.steamId.trim() : null;
+    const name = typeof info.name === "string" ? info.name.trim() : "";
+    const nameLower = name ? name.toLowerCase() : "";
+    const observerSlotRaw = Number(info.observer_slot);
+    const observerSlot = Number.isFinite(observerSlotRaw) && observerSlotRaw > 0 ? observerSlotRaw : null;
+
+    if (steamId) {
+      playerDirectory.bySteamId.set(steamId, info);
+    }
+
+    if (nameLower) {
+      playerDirectory.byNameLower.set(nameLower, info);
+    }
+
+    if (observerSlot) {
+      let bucket = playerDirectory.byObserverSlot.get(observerSlot);
+      if (!bucket) {
+        bucket = [];
+        playerDirectory.byObserverSlot.set(observerSlot, bucket);
+      }
+      bucket.push(info);
+    }
+  }
+}
+
+function getForcedFallbackList() {
+  return Array.from(forcedFallback.values()).sort((a, b) => a.localeCompare(b));
+}
+
+function broadcastForcedFallback() {
+  broadcast({
+    type: "FORCED_FALLBACK",
+    nicknames: getForcedFallbackList(),
+  });
+  sendAdminUpdate("fallback", { forcedFallback: getForcedFallbackList() });
+  queueAllAdminCameraUpdates();
+}
+
+function extractClientIp(req) {
+  const forwarded = req.headers["x-forwarded-for"];
+  if (typeof forwarded === "string" && forwarded.length) {
+    const candidate = forwarded.split(",")[0].trim();
+    if (candidate) {
+      return normalizeIp(candidate);
+    }
+  }
+  return normalizeIp(req.ip || req.connection?.remoteAddress || "");
+}
+
+function sanitizeAdminUsername(value) {
+  const username = typeof value === "string" ? value.trim().toLowerCase() : "";
+  return ADMIN_USERNAME_REGEX.test(username) ? username : null;
+}
+
+function hashAdminPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (error, derived) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      resolve(`scrypt:${salt.toString("base64")}:${derived.toString("base64")}`);
+    });
+  });
+}
+
+function verifyAdminPasswordHash(password, passwordHash) {
+  const [scheme, saltValue, hashValue] = typeof passwordHash === "string" ? passwordHash.split(":") : [];
+  if (scheme !== "scrypt" || !saltValue || !hashValue) {
+    return Promise.resolve(false);
+  }
+
+  const expected = Buffer.from(hashValue, "base64");
+  return new Promise((resolve) => {
+    crypto.scrypt(password, Buffer.from(saltValue, "base64"), expected.length, (error, derived) => {
+      resolve(!error && crypto.timingSafeEqual(expected, derived));
+    });
+  });
+}
+
+function loadAdminAccounts() {
+  const accounts = new Map();
+  if (!fs.existsSync(ADMIN_ACCOUNTS_PATH)) {
+    return accounts;
+  }
+
+  try {
+    const parsed = JSON.parse(fs.readFileSync(ADMIN_ACCOUNTS_PATH, "utf-8"));
+    for (const item of Array.isArray(parsed?.accounts) ? parsed.accounts : []) {
+      const username = sanitizeAdminUsername(item?.username);
+      if (!username || !ADMIN_ROLES.includes(item.role) || typeof item.passwordHash !== "string") {
+        continue;
+      }
+      accounts.set(username, {
+        username,
+        role: item.role,
+        passwordHash: item.passwordHash,
+        createdAt: item.createdAt || new Date().toISOString(),
+        createdBy: item.createdBy || "unknown",
+        updatedAt: item.updatedAt || item.createdAt || new Date().toISOString(),
+      });
+    }
+  } catch (error) {
+    console.warn("Failed to load admin accounts", error);
+  }
+  return accounts;
+}
+
+async function persistAdminAccounts() {
+  await writeDataFile(ADMIN_ACCOUNTS_PATH, { accounts: Array.from(adminAccounts.values()) });
+}
+
+let adminAccounts = loadAdminAccounts();
+const adminAuthCache = new Map();
+
+function describeAdminAccount(account) {
+  if (!account) {
+    return null;
+  }
+  return {
+    username: account.username,
+    role: account.role,
+    builtIn: Boolean(account.builtIn),
+    createdAt: account.createdAt || null,
+    createdBy: account.createdBy || null,
+    updatedAt: account.updatedAt || null,
+  };
+}
+
+function listAdminAccounts() {
+  const builtIn = describeAdminAccount({ username: adminUser, role: "owner", builtIn: true });
+  return [
+    builtIn,
+    ...Array.from(adminAccounts.values())
+      .map(describeAdminAccount)
+      .sort((a, b) => a.username.localeCompare(b.username)),
+  ];
+}
+
+function hasAdminRole(account, role) {
+  return ADMIN_ROLES.indexOf(account?.role) >= ADMIN_ROLES.indexOf(role);
+}
+
+async function verifyAdminCredentials(username, password) {
+  if (typeof username !== "string" || typeof password !== "string") {
+    return null;
+  }
+
+  const builtInUser = Buffer.from(adminUser);
+  const builtInPass = Buffer.from(adminPass);
+  const providedUser = Buffer.from(username);
+  const providedPass = Buffer.from(password);
+  const userMatches = builtInUser.length === providedUser.length && crypto.timingSafeEqual(builtInUser, providedUser);
+  const passMatches = builtInPass.length === providedPass.length && crypto.timingSafeEqual(builtInPass, providedPass);
+  if (userMatches && passMatches) {
+    return { username: adminUser, role: "owner", builtIn: true };
+  }
+
+  const account = adminAccounts.get(sanitizeAdminUsername(username));
+  if (!account) {
+    return null;
+  }
+
+  const cacheKey = crypto.createHash("sha256").update(`${account.username}\0${password}`).digest("hex");
+  const cached = adminAuthCache.get(cacheKey);
+  if (cached && cached.passwordHash === account.passwordHash && cached.expiresAt > Date.now()) {
+    return account;
+  }
+
+  if (!(await verifyAdminPasswordHash(password, account.passwordHash))) {
+    return null;
+  }
+
+  if (adminAuthCache.size > 200) {
+    adminAuthCache.clear();
+  }
+  adminAuthCache.set(cacheKey, { passwordHash: account.passwordHash, expiresAt: Date.now() + ADMIN_AUTH_CACHE_TTL_MS });
+  return account;
+}
+
+const adminAuthMiddleware = basicAuth({
+  authorizer: (username, password, callback) => {
+    verifyAdminCredentials(username, password)
+      .then((account) => callback(null, Boolean(account)))
+      .catch(() => callback(null, false));
+  },
+  authorizeAsync: true,
+  challenge: true,
+  realm: "BikeCam admin",
+});
+
+function authenticateAdmin(req, res, next) {
+  if (req.adminAccount) {
+    next();
+    return;
+  }
+
+  adminAuthMiddleware(req, res, async () => {
+    const account = await verifyAdminCredentials(req.auth?.user, req.auth?.password);
+    if (!account) {
+      res.status(401).json({ error: "Unauthorized" });
+      return;
+    }
+    req.adminAccount = account;
+    req.adminActor = account.username;
+    next();
+  });
+}
+
+function requireAdminAccess(req, res, next) {
+  const clientIp = extractClientIp(req);
+  if (!isIpAllowed(clientIp)) {
+    if (req.accepts(["json", "html"]) === "json") {
+      res.status(403).json({ error: "Forbidden" });
+    } else {
+      res.status(403).send("Forbidden");
+    }
+    return;
+  }
+  req.adminClientIp = clientIp;
+
+  authenticateAdmin(req, res, () => {
+    const readOnly = ["GET", "HEAD", "OPTIONS"].includes(req.method) || ADMIN_READ_ONLY_POST_PATHS.has(req.path);
+    if (!readOnly && !hasAdminRole(req.adminAccount, "operator")) {
+      res.status(403).json({ error: "This account is read-only" });
+      return;
+    }
+    next();
+  });
+}
+
+function requireAdminRole(role) {
+  return (req, res, next) => {
+    if (!hasAdminRole(req.adminAccount, role)) {
+      res.status(403).json({ error: `This action requires the ${role} role` });
+      return;
+    }
+    next();
+  };
+}
+
+function collectPublisherStats() {
+  const stats = [];
+
+  for (const entry of publishers.values()) {
+    let connectionCount = 0;
+    const viewers = [];
+
+    for (const [viewerSocketId, connectionIds] of entry.viewers.entries()) {
+      const size = connectionIds.size;
+      connectionCount += size;
+      viewers.push({ viewerSocketId, connections: size });
+    }
+
+    const effectiveQuality = getEffectiveQualityForKey(entry.key);
+
+    stats.push({
+      nickname: entry.nickname,
+      key: entry.key,
+      steamId: entry.steamId || null,
+      status: entry.status || "ONLINE",
+      connections: connectionCount,
+      viewerCount: connectionCount,
+      uniqueViewers: viewers.length,
+      viewers,
+      forcedFallback: forcedFallback.has(entry.key),
+      qualityProfile: effectiveQuality.profile,
+      appliedQuality: entry.appliedQuality || null,
+      mediaPolicy: getCameraMediaPolicy(entry.key),
+      negotiated: Array.from(entry.negotiated.values()),
+    });
+  }
+
+  stats.sort((a, b) => a.nickname.localeCompare(b.nickname));
+  return stats;
+}
+
+function describeCameraSession(entry) {
+  let connectionCount = 0;
+  for (const ids of entry.viewers.values()) {
+    connectionCount += ids.size;
+  }
+
+  const effectiveQuality = getEffectiveQualityForKey(entry.key);
+
+  return {
+    nickname: entry.nickname,
+    key: entry.key,
+    steamId: entry.steamId || null,
+    playerName: entry.steamId ? gsiState.players[entry.steamId]?.name || null : null,
+    inviteId: entry.inviteId || null,
+    status: entry.status || "ONLINE",
+    connections: connectionCount,
+    uniqueViewers: entry.viewers.size,
+    forcedFallback: forcedFallback.has(entry.key),
+    fallbackActive: fallbackFrames.has(entry.key),
+    lastSeen: entry.lastSeen || null,
+    connectedAt: entry.connectedAt || null,
+    qualityProfile: effectiveQuality.profile,
+    qualityParams: effectiveQuality.params,
+    appliedQuality: entry.appliedQuality || null,
+    mediaPolicy: getCameraMediaPolicy(entry.key),
+    negotiated: Array.from(entry.negotiated.values()),
+    metrics: entry.metrics || null,
+  };
+}
+
+function collectCameraSessions() {
+  const sessions = Array.from(publishers.values(), describeCameraSession);
+  sessions.sort((a, b) => a.nickname.localeCompare(b.nickname));
+  return sessions;
+}
+
+function buildQualitySummary() {
+  return {
+    defaultProfile: adminConfig.quality?.defaultProfile || "HIGH",
+    defaultParams: resolveQualityProfile(
+      adminConfig.quality?.defaultProfile,
+      adminConfig.quality?.defaultCustom
+    ),
+    overrides: Object.entries(adminConfig.quality?.cameraOverrides || {}).map(
+      ([key, value]) => ({
+        key,
+        nickname: value.nickname,
+        profile: value.profile,
+        params: resolveQualityProfile(
+          value.profile,
+          value.profile === "CUSTOM" ? value.custom : adminConfig.quality?.defaultCustom
+        ),
+      })
+    ),
+  };
+}
+
+function touchPublisher(entry) {
+  if (!entry) {
+    return;
+  }
+  entry.lastSeen = Date.now();
+}
+
+const adminUser = process.env.ADMIN_USER || "admin";
+const adminPass = process.env.ADMIN_PASS || "changeme";
 
 const app = express();
 app.set("trust proxy", true);
@@ -618,1358 +1675,4474 @@ app.set("trust proxy", true);
 const corsOptions = {
   origin: ["https://bikecam.onrender.com"],
   credentials: true,
-  methods: ["GET", "POST", "OPTIONS"],
+  methods: ["GET", "POST", "PATCH", "DELETE", "OPTIONS"],
   allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+  exposedHeaders: ["Location", "ETag"],
 };
 
-app.use(cors(corsOptions));
-app.options("*", cors(corsOptions));
-app.use(compression());
-app.use(
-  helmet({
-    contentSecurityPolicy: false,
-  })
-);
-app.use("/api/fallback/frame", express.json({ limit: "3mb" }));
-app.use(express.json({ limit: "1mb" }));
+app.use(cors(corsOptions));
+app.options("*", cors(corsOptions));
+app.use(compression());
+app.use(
+  helmet({
+    contentSecurityPolicy: false,
+  })
+);
+app.use("/api/fallback/frame", express.json({ limit: "3mb" }));
+app.use("/api/admin/teams", express.json({ limit: "3mb" }));
+app.use("/api/admin/config/import", express.json({ limit: "10mb" }));
+app.use("/whep", express.text({ type: ["application/sdp", "application/trickle-ice-sdpfrag"], limit: "256kb" }));
+app.use(express.json({ limit: "1mb" }));
+
+const ADMIN_PATHS = [
+  "/admin.html",
+  "/admin-pro.html",
+  "/admin-v2.html",
+  "/_webrtc",
+  "/head_admin.html",
+  "/admin",
+  "/admin-panel",
+  "/api/admin",
+  "/api/admin/*",
+  "/api/gsi/state",
+  "/api/admin/cameras",
+  "/logs",
+  "/api/logs",
+  "/api/logs/*",
+];
+
+app.use(ADMIN_PATHS, (req, res, next) => {
+  req.adminClientIp = extractClientIp(req);
+  authenticateAdmin(req, res, next);
+});
+
+// Updated for TURN server integration: expose static frontend assets
+app.get("/", (_req, res) => {
+  res.sendFile(path.join(PUBLIC_DIR, "main-gb-full-27.html"));
+});
+
+app.get("/register.html", (_req, res) => {
+  res.sendFile(path.join(PUBLIC_DIR, "register.html"));
+});
+
+app.get("/admin.html", (req, res, next) => {
+  res.sendFile(path.join(__dirname, "private", "admin.html"), (error) => {
+    if (error) {
+      next(error);
+    }
+  });
+});
+
+app.get("/admin-pro.html", (req, res, next) => {
+  res.sendFile(path.join(__dirname, "private", "admin-pro.html"), (error) => {
+    if (error) {
+      next(error);
+    }
+  });
+});
+
+app.get("/admin-v2.html", (req, res, next) => {
+  res.sendFile(path.join(__dirname, "private", "admin-v2.html"), (error) => {
+    if (error) {
+      next(error);
+    }
+  });
+});
+
+app.get("/_webrtc", (req, res, next) => {
+  res.sendFile(path.join(PUBLIC_DIR, "_webrtc.html"), (error) => {
+    if (error) {
+      next(error);
+    }
+  });
+});
+
+app.get("/webrtc/diag", (req, res, next) => {
+  res.sendFile(path.join(PUBLIC_DIR, "webrtc", "diag", "index.html"), (error) => {
+    if (error) {
+      next(error);
+    }
+  });
+});
+
+app.get("/team/:teamId", (req, res, next) => {
+  res.sendFile(path.join(PUBLIC_DIR, "team.html"), (error) => {
+    if (error) {
+      next(error);
+    }
+  });
+});
+
+app.get("/head_admin.html", (req, res, next) => {
+  res.sendFile(path.join(__dirname, "head_admin.html"), (error) => {
+    if (error) {
+      next(error);
+    }
+  });
+});
+
+function sanitizeTeamColor(value) {
+  if (typeof value !== "string") {
+    return null;
+  }
+  const trimmed = value.trim();
+  return /^#(?:[0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(trimmed) ? trimmed.toLowerCase() : null;
+}
+
+function sanitizeTeamTag(value) {
+  const sanitized = sanitizeNickname(value);
+  return sanitized ? sanitized.slice(0, 8) : null;
+}
+
+function sanitizeCatalogueTeam(input, existing = null) {
+  const source = input && typeof input === "object" ? input : {};
+  const pick = (field, sanitize) =>
+    Object.prototype.hasOwnProperty.call(source, field) ? sanitize(source[field]) : existing?.[field] ?? null;
+
+  const teamName = pick("teamName", sanitizeNickname);
+  const id = existing?.id || slugifyTeamId(source.id) || slugifyTeamId(teamName);
+  if (!id || !teamName) {
+    return null;
+  }
+
+  const colorSource = source.colors && typeof source.colors === "object" ? source.colors : null;
+  const colors = colorSource
+    ? {
+        primary: sanitizeTeamColor(colorSource.primary),
+        secondary: sanitizeTeamColor(colorSource.secondary),
+      }
+    : existing?.colors || { primary: null, secondary: null };
+
+  const now = new Date().toISOString();
+  return {
+    id,
+    teamName,
+    tag: pick("tag", sanitizeTeamTag),
+    logo: pick("logo", sanitizePhotoUrl),
+    altLogo: pick("altLogo", sanitizePhotoUrl),
+    mapLogo: pick("mapLogo", sanitizePhotoUrl),
+    colors,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  };
+}
+
+function readJsonFile(filePath, label) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (error) {
+    console.warn(`Failed to load ${label}`, error);
+    return null;
+  }
+}
+
+function loadTeamCatalogue() {
+  const catalogue = new Map();
+  const parsed = readJsonFile(TEAM_CATALOGUE_PATH, "team catalogue");
+  for (const item of Array.isArray(parsed?.teams) ? parsed.teams : []) {
+    const entry = sanitizeCatalogueTeam(item, item?.id ? { id: slugifyTeamId(item.id), createdAt: item.createdAt } : null);
+    if (entry) {
+      entry.updatedAt = item.updatedAt || entry.updatedAt;
+      catalogue.set(entry.id, entry);
+    }
+  }
+  return catalogue;
+}
+
+function loadTeamImportCache() {
+  const parsed = readJsonFile(TEAM_IMPORT_CACHE_PATH, "team import cache");
+  return {
+    teams: Array.isArray(parsed?.teams) ? parsed.teams : [],
+    importedAt: parsed?.importedAt || null,
+    url: parsed?.url || null,
+  };
+}
+
+let teamCatalogue = loadTeamCatalogue();
+let teamImportCache = loadTeamImportCache();
+
+async function persistTeamCatalogue() {
+  await writeDataFile(TEAM_CATALOGUE_PATH, { teams: listCatalogueTeams() });
+}
+
+function listCatalogueTeams() {
+  return Array.from(teamCatalogue.values()).sort((a, b) => a.teamName.localeCompare(b.teamName));
+}
+
+function collectCatalogueKeys(entry) {
+  return [entry?.id, entry?.teamName, entry?.name, entry?.tag, entry?.code, entry?.slug]
+    .map((value) => normalizeNicknameKey(typeof value === "string" ? value : ""))
+    .filter(Boolean);
+}
+
+// Local teams win over imported ones that share a name, id or tag.
+function buildTeamLogoIndex() {
+  const teams = listCatalogueTeams();
+  const taken = new Set(teams.flatMap(collectCatalogueKeys));
+  for (const entry of teamImportCache.teams) {
+    if (!entry || typeof entry !== "object") {
+      continue;
+    }
+    const keys = collectCatalogueKeys(entry);
+    if (keys.some((key) => taken.has(key))) {
+      continue;
+    }
+    keys.forEach((key) => taken.add(key));
+    teams.push(entry);
+  }
+  return teams;
+}
+
+function findCatalogueTeam(name) {
+  const key = normalizeNicknameKey(name);
+  if (!key) {
+    return null;
+  }
+  return listCatalogueTeams().find((entry) => collectCatalogueKeys(entry).includes(key)) || null;
+}
+
+function isLocalTeamLogo(url) {
+  return typeof url === "string" && url.startsWith(`${TEAM_LOGO_URL_PREFIX}/`);
+}
+
+async function removeLocalTeamLogo(url) {
+  if (!isLocalTeamLogo(url)) {
+    return;
+  }
+  const fileName = path.basename(url);
+  try {
+    await fsPromises.unlink(path.join(TEAM_LOGO_DIR, fileName));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.warn("Failed to remove team logo", error);
+    }
+  }
+}
+
+app.use(
+  TEAM_LOGO_URL_PREFIX,
+  express.static(TEAM_LOGO_DIR, {
+    maxAge: "1d",
+    setHeaders: (res, filePath) => {
+      if (filePath.endsWith(".svg")) {
+        res.setHeader("Content-Security-Policy", "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+      }
+    },
+  })
+);
+
+app.get("/assets/team-logos.json", (_req, res) => {
+  res.set("Cache-Control", "public, max-age=30");
+  res.json({ teams: buildTeamLogoIndex() });
+});
+
+app.get("/api/admin/teams", requireAdminAccess, (_req, res) => {
+  res.json({
+    teams: listCatalogueTeams(),
+    imported: {
+      count: teamImportCache.teams.length,
+      importedAt: teamImportCache.importedAt,
+      url: teamImportCache.url,
+    },
+  });
+});
+
+app.post("/api/admin/teams", requireAdminAccess, async (req, res) => {
+  const id = slugifyTeamId(req.body?.id);
+  const previous = id ? teamCatalogue.get(id) || null : null;
+  const entry = sanitizeCatalogueTeam(req.body, previous);
+  if (!entry) {
+    res.status(400).json({ error: "teamName is required" });
+    return;
+  }
+  if (!previous && teamCatalogue.has(entry.id)) {
+    res.status(409).json({ error: "Team already exists" });
+    return;
+  }
+
+  teamCatalogue.set(entry.id, entry);
+  try {
+    await persistTeamCatalogue();
+  } catch (error) {
+    if (previous) {
+      teamCatalogue.set(previous.id, previous);
+    } else {
+      teamCatalogue.delete(entry.id);
+    }
+    res.status(500).json({ error: "Failed to save team catalogue" });
+    return;
+  }
+
+  broadcastTeamBranding();
+  logEvent("admin", previous ? "Team updated" : "Team added", {
+    team: entry.id,
+    teamName: entry.teamName,
+    admin: req.adminActor,
+    ip: req.adminClientIp,
+  });
+  res.json({ ok: true, team: entry });
+});
+
+app.post("/api/admin/teams/import", requireAdminAccess, async (req, res) => {
+  let payload;
+  try {
+    const response = await fetch(TEAM_IMPORT_URL, { timeout: 8000 });
+    if (!response.ok) {
+      res.status(502).json({ error: "Upstream failed", status: response.status });
+      return;
+    }
+    payload = await response.json();
+  } catch (error) {
+    res.status(502).json({ error: "Import failed", detail: String(error) });
+    return;
+  }
+
+  const teams = Array.isArray(payload?.teams) ? payload.teams : Array.isArray(payload) ? payload : null;
+  if (!teams) {
+    res.status(502).json({ error: "Upstream returned no teams" });
+    return;
+  }
+
+  const next = { teams, importedAt: new Date().toISOString(), url: TEAM_IMPORT_URL };
+  try {
+    await writeDataFile(TEAM_IMPORT_CACHE_PATH, next);
+  } catch (error) {
+    res.status(500).json({ error: "Failed to save import cache" });
+    return;
+  }
+  teamImportCache = next;
+
+  logEvent("admin", "Teams imported", { count: teams.length, url: TEAM_IMPORT_URL, admin: req.adminActor, ip: req.adminClientIp });
+  res.json({ ok: true, count: teams.length, importedAt: next.importedAt });
+});
+
+app.post("/api/admin/teams/:id/logo", requireAdminAccess, async (req, res) => {
+  const previous = teamCatalogue.get(slugifyTeamId(req.params.id)) || null;
+  if (!previous) {
+    res.status(404).json({ error: "Team not found" });
+    return;
+  }
+
+  const variant = TEAM_LOGO_VARIANTS.includes(req.body?.variant) ? req.body.variant : "logo";
+  const extension = TEAM_LOGO_TYPES[req.body?.mimeType];
+  if (!extension) {
+    res.status(400).json({ error: "Logo must be PNG, SVG or WebP" });
+    return;
+  }
+
+  const buffer = Buffer.from(typeof req.body?.data === "string" ? req.body.data : "", "base64");
+  if (!buffer.length) {
+    res.status(400).json({ error: "Logo is empty" });
+    return;
+  }
+  if (buffer.length > TEAM_LOGO_MAX_BYTES) {
+    res.status(413).json({ error: "Logo is too large" });
+    return;
+  }
+
+  const fileName = `${previous.id}-${variant.toLowerCase()}-${Date.now().toString(36)}.${extension}`;
+  try {
+    await fsPromises.mkdir(TEAM_LOGO_DIR, { recursive: true });
+    await fsPromises.writeFile(path.join(TEAM_LOGO_DIR, fileName), buffer);
+  } catch (error) {
+    res.status(500).json({ error: "Failed to store logo" });
+    return;
+  }
+
+  const entry = { ...previous, [variant]: `${TEAM_LOGO_URL_PREFIX}/${fileName}`, updatedAt: new Date().toISOString() };
+  teamCatalogue.set(entry.id, entry);
+  try {
+    await persistTeamCatalogue();
+  } catch (error) {
+    teamCatalogue.set(previous.id, previous);
+    await removeLocalTeamLogo(entry[variant]);
+    res.status(500).json({ error: "Failed to save team catalogue" });
+    return;
+  }
+  await removeLocalTeamLogo(previous[variant]);
+
+  broadcastTeamBranding();
+  logEvent("admin", "Team logo uploaded", {
+    team: entry.id,
+    variant,
+    size: buffer.length,
+    admin: req.adminActor,
+    ip: req.adminClientIp,
+  });
+  res.json({ ok: true, team: entry });
+});
+
+app.delete("/api/admin/teams/:id", requireAdminAccess, async (req, res) => {
+  const previous = teamCatalogue.get(slugifyTeamId(req.params.id)) || null;
+  if (!previous) {
+    res.status(404).json({ error: "Team not found" });
+    return;
+  }
+
+  teamCatalogue.delete(previous.id);
+  try {
+    await persistTeamCatalogue();
+  } catch (error) {
+    teamCatalogue.set(previous.id, previous);
+    res.status(500).json({ error: "Failed to save team catalogue" });
+    return;
+  }
+  await Promise.all(TEAM_LOGO_VARIANTS.map((variant) => removeLocalTeamLogo(previous[variant])));
+
+  broadcastTeamBranding();
+  logEvent("admin", "Team removed", { team: previous.id, teamName: previous.teamName, admin: req.adminActor, ip: req.adminClientIp });
+  res.json({ ok: true });
+});
+
+app.use(express.static(PUBLIC_DIR));
+
+const server = http.createServer(app);
+const wss = new WebSocketServer({ server });
+
+const clients = new Set();
+const socketMeta = new Map();
+const socketById = new Map();
+const publishers = new Map();
+const publisherMetrics = new Map();
+const adminSubscribers = new Set();
+const pendingAdminCameraKeys = new Set();
+let adminCameraFlushTimer = null;
+let nextSocketId = 1;
+
+function getPublisherByNickname(input) {
+  const key = normalizeNicknameKey(input);
+  if (!key) {
+    return { key: "", entry: null };
+  }
+  const entry = publishers.get(key) || null;
+  return { key, entry };
+}
+
+function getPublisherBySteamId(steamId) {
+  if (!steamId) {
+    return null;
+  }
+  for (const entry of publishers.values()) {
+    if (entry.steamId === steamId) {
+      return entry;
+    }
+  }
+  return null;
+}
+
+function resolveFocusNickname(steamId, fallbackName) {
+  const registered = getRegistryPlayer(steamId) || findRegistryPlayerByName(fallbackName);
+  const entry = getPublisherBySteamId(steamId || registered?.steamId);
+  if (entry) {
+    return entry.nickname;
+  }
+  return registered?.cameraNickname || fallbackName || null;
+}
+
+const PORT = Number(process.env.PORT) || 3000;
+const HOST = "0.0.0.0";
+const SITE_LINKS = [
+  { label: "Main Focus", href: "/main-gb-full-27.html" },
+  { label: "CT Cameras", href: "/ct-side-gb-27.html" },
+  { label: "T Cameras", href: "/t-side-gb-27.html" },
+  { label: "Left Team Cameras", href: "/team/left" },
+  { label: "Right Team Cameras", href: "/team/right" },
+  { label: "Register Camera", href: "/register.html" },
+];
+
+
+const MJPEG_BOUNDARY = "frame";
+const fallbackFrames = new Map();
+const fallbackClients = new Map();
+
+const TURN_SECRET = process.env.TURN_STATIC_AUTH_SECRET || "7f7125d43be5b0c1c50e99a578e97102";
+
+function genTurnRestCred({ secret, ttlSec = 3600, userId = "pm-camera" }) {
+  const now = Math.floor(Date.now() / 1000);
+  const username = `${now + ttlSec}:${userId}`;      // формат "expires:userId"
+  const credential = crypto.createHmac("sha1", secret)
+    .update(username)
+    .digest("base64");
+  return { username, credential, ttlSec };
+}
+
+app.get("/api/webrtc/config", (req, res) => {
+  const { username, credential, ttlSec } = genTurnRestCred({
+    secret: TURN_SECRET,
+    ttlSec: 3600,
+    userId: "pm-camera"
+  });
+
+  res.json({
+    iceServers: [
+      {
+        urls: [
+          "stun:turn.raptors.life:3478",
+          "turn:turn.raptors.life:3478?transport=udp",
+          "turns:turn.raptors.life:5349?transport=tcp"
+        ],
+        username,
+        credential
+      },
+      {
+        urls: [
+          "stun:turn2.raptors.life:3478",
+          "turn:turn2.raptors.life:3478?transport=udp",
+          "turns:turn2.raptors.life:5349?transport=tcp"
+        ],
+        username,
+        credential
+      },
+      // (опционально) Google STUN в хвост:
+      { urls: ["stun:stun.l.google.com:19302"] }
+    ],
+    ttlSec
+  });
+});
+
+// Админская выдача TURN-кредов в формате, который ждёт фронт:
+app.get("/api/webrtc/turn-creds", (req, res) => {
+  const adminKey = String(req.query.key || "");
+  if (adminKey !== process.env.TURN_ADMIN_KEY) {
+    return res.status(401).json({ error: "unauthorized" });
+  }
+  const { username, credential, ttlSec } = genTurnRestCred({
+    secret: TURN_SECRET,
+    ttlSec: 3600,
+    userId: "admin-viewer"
+  });
+  const primaryUrls = [
+    "stun:turn.raptors.life:3478",
+    "turn:turn.raptors.life:3478?transport=udp",
+    "turns:turn.raptors.life:5349?transport=tcp"
+  ];
+  const secondaryUrls = [
+    "stun:turn2.raptors.life:3478",
+    "turn:turn2.raptors.life:3478?transport=udp",
+    "turns:turn2.raptors.life:5349?transport=tcp"
+  ];
+  res.json({
+    urls: primaryUrls,
+    iceServers: [
+      {
+        urls: primaryUrls,
+        username,
+        credential
+      },
+      {
+        urls: secondaryUrls,
+        username,
+        credential
+      }
+    ],
+    username,
+    credential,
+    ttlSec
+  });
+});
+
+function ensureVisibilityShape(store) {
+  const base = store && typeof store === "object" ? { ...store } : {};
+  VISIBILITY_SECTIONS.forEach((section) => {
+    if (!base[section] || typeof base[section] !== "object") {
+      base[section] = {};
+    }
+  });
+  return base;
+}
+
+function normalizeVisibilityKey(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const key = String(value).trim();
+  return key ? key : null;
+}
+
+function normalizeQualityPreset(value) {
+  const preset = typeof value === "string" ? value.trim().toLowerCase() : "";
+  return ["low", "mid", "high"].includes(preset) ? preset : null;
+}
+
+function normalizeTransportPreset(value) {
+  const preset = typeof value === "string" ? value.trim().toLowerCase() : "";
+  return ["auto", "udp", "tcp"].includes(preset) ? preset : null;
+}
+
+function normalizeCodecPreset(value) {
+  const preset = typeof value === "string" ? value.trim().toLowerCase() : "";
+  return ["default", "h264", "vp8"].includes(preset) ? preset : null;
+}
+
+function loadVisibilityStore() {
+  try {
+    fs.mkdirSync(ADMIN_DATA_DIR, { recursive: true });
+  } catch (error) {
+    console.warn("Failed to prepare visibility directory", error);
+  }
+
+  if (!fs.existsSync(VISIBILITY_PATH)) {
+    const initial = ensureVisibilityShape({});
+    try {
+      fs.writeFileSync(VISIBILITY_PATH, JSON.stringify(initial, null, 2));
+    } catch (error) {
+      console.warn("Failed to seed visibility store", error);
+    }
+    return initial;
+  }
+
+  try {
+    const raw = fs.readFileSync(VISIBILITY_PATH, "utf-8");
+    const parsed = JSON.parse(raw);
+    return ensureVisibilityShape(parsed);
+  } catch (error) {
+    console.warn("Failed to load visibility store", error);
+    return ensureVisibilityShape({});
+  }
+}
+
+async function persistVisibilityStore(store) {
+  await writeDataFile(VISIBILITY_PATH, ensureVisibilityShape(store));
+}
+
+function mergeVisibilityDelta(target, delta) {
+  const next = ensureVisibilityShape(target);
+  let changed = false;
+
+  if (!delta || typeof delta !== "object") {
+    return { changed, store: next };
+  }
+
+  VISIBILITY_SECTIONS.forEach((section) => {
+    const patch = delta[section];
+    if (!patch || typeof patch !== "object") {
+      return;
+    }
+
+    const bucket = next[section];
+    Object.entries(patch).forEach(([rawKey, rawValue]) => {
+      const key = normalizeVisibilityKey(rawKey);
+      if (!key) {
+        return;
+      }
+
+      let normalizedValue;
+      if (section === "hidden") {
+        normalizedValue = rawValue === null ? null : Boolean(rawValue);
+      } else if (section === "quality") {
+        normalizedValue = rawValue === null ? null : normalizeQualityPreset(rawValue);
+      } else if (section === "forceTurn") {
+        normalizedValue = rawValue === null ? null : normalizeTransportPreset(rawValue);
+      } else if (section === "codec") {
+        normalizedValue = rawValue === null ? null : normalizeCodecPreset(rawValue);
+      }
+
+      if (normalizedValue === undefined) {
+        return;
+      }
+
+      if (normalizedValue === null) {
+        if (key in bucket) {
+          delete bucket[key];
+          changed = true;
+        }
+        return;
+      }
+
+      if (bucket[key] !== normalizedValue) {
+        bucket[key] = normalizedValue;
+        changed = true;
+      }
+    });
+  });
+
+  return { changed, store: next };
+}
+
+let visibilityStore = loadVisibilityStore();
+
+function coerceVisibilityDelta(payload) {
+  if (!payload || typeof payload !== "object") {
+    return {};
+  }
+
+  if (Object.prototype.hasOwnProperty.call(payload, "id")) {
+    const key = normalizeVisibilityKey(payload.id);
+    if (!key) {
+      return {};
+    }
+    if (Object.prototype.hasOwnProperty.call(payload, "visible")) {
+      const visible = Boolean(payload.visible);
+      return {
+        hidden: {
+          [key]: visible ? null : true,
+        },
+      };
+    }
+  }
+
+  const delta = {};
+  VISIBILITY_SECTIONS.forEach((section) => {
+    if (payload[section] && typeof payload[section] === "object") {
+      delta[section] = payload[section];
+    }
+  });
+  return delta;
+}
+
+function broadcastVisibilityState() {
+  broadcast({
+    type: "VISIBILITY_STATE",
+    state: visibilityStore,
+  });
+  queueAllAdminCameraUpdates();
+}
+
+// Visibility keys are free-form ids, so match them to a camera the same way nicknames are keyed.
+function getCameraMediaPolicy(key) {
+  const lookup = (section, fallback) => {
+    const match = Object.entries(visibilityStore[section] || {}).find(([id]) => normalizeNicknameKey(id) === key);
+    return match ? match[1] : fallback;
+  };
+  return {
+    codec: lookup("codec", "default"),
+    transport: lookup("forceTurn", "auto"),
+  };
+}
+
+function broadcastLegacyVisibilityDelta(delta) {
+  if (!delta || typeof delta !== "object") {
+    return;
+  }
+
+  const hiddenPatch = delta.hidden;
+  if (!hiddenPatch || typeof hiddenPatch !== "object") {
+    return;
+  }
+
+  Object.entries(hiddenPatch).forEach(([rawKey, rawValue]) => {
+    const key = normalizeVisibilityKey(rawKey);
+    if (!key) {
+      return;
+    }
+
+    const visible = rawValue === null ? true : !Boolean(rawValue);
+    broadcast({
+      type: "visibility.update",
+      id: key,
+      visible,
+    });
+  });
+}
+
+app.get("/api/visibility", requireAdminAccess, (_req, res) => {
+  res.json({ ok: true, state: visibilityStore });
+});
+
+app.post("/api/visibility", requireAdminAccess, async (req, res) => {
+  const delta = coerceVisibilityDelta(req.body);
+  const { changed, store } = mergeVisibilityDelta(visibilityStore, delta);
+  visibilityStore = store;
+
+  if (changed) {
+    try {
+      await persistVisibilityStore(visibilityStore);
+    } catch (error) {
+      console.warn("Failed to persist visibility store", error);
+    }
+    broadcastVisibilityState();
+    broadcastLegacyVisibilityDelta(delta);
+  }
+
+  res.json({ ok: true, state: visibilityStore, changed });
+});
+
+function sanitizePhotoUrl(value) {
+  if (typeof value !== "string") {
+    return null;
+  }
+  const trimmed = value.trim();
+  if (!trimmed || trimmed.length > 2048) {
+    return null;
+  }
+  return /^https?:\/\//i.test(trimmed) || trimmed.startsWith("/") ? trimmed : null;
+}
+
+function sanitizeRegistryPlayer(input, existing = null) {
+  const source = input && typeof input === "object" ? input : {};
+  const steamId = normalizeSteamId(typeof source.steamId === "string" ? source.steamId : existing?.steamId || "");
+  if (!steamId) {
+    return null;
+  }
+
+  const pick = (field, sanitize) =>
+    Object.prototype.hasOwnProperty.call(source, field) ? sanitize(source[field]) : existing?.[field] ?? null;
+
+  const displayName = pick("displayName", sanitizeNickname);
+  const aliasSource = Object.prototype.hasOwnProperty.call(source, "aliases") ? source.aliases : existing?.aliases;
+  const aliasList = Array.isArray(aliasSource)
+    ? aliasSource
+    : typeof aliasSource === "string"
+    ? aliasSource.split(",")
+    : [];
+  const aliases = [];
+  const seen = new Set([normalizeNicknameKey(displayName)]);
+  for (const value of aliasList) {
+    const alias = sanitizeNickname(value);
+    const key = normalizeNicknameKey(alias);
+    if (!key || seen.has(key)) {
+      continue;
+    }
+    seen.add(key);
+    aliases.push(alias);
+    if (aliases.length >= MAX_PLAYER_ALIASES) {
+      break;
+    }
+  }
+
+  const now = new Date().toISOString();
+  return {
+    steamId,
+    displayName,
+    aliases,
+    team: pick("team", sanitizeNickname),
+    cameraNickname: pick("cameraNickname", sanitizeNickname),
+    photo: pick("photo", sanitizePhotoUrl),
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  };
+}
+
+function loadPlayerRegistry() {
+  const registry = new Map();
+  if (!fs.existsSync(PLAYER_REGISTRY_PATH)) {
+    return registry;
+  }
+
+  try {
+    const parsed = JSON.parse(fs.readFileSync(PLAYER_REGISTRY_PATH, "utf-8"));
+    const list = Array.isArray(parsed?.players) ? parsed.players : [];
+    for (const item of list) {
+      const entry = sanitizeRegistryPlayer(item, item);
+      if (entry) {
+        entry.updatedAt = item.updatedAt || entry.updatedAt;
+        registry.set(entry.steamId, entry);
+      }
+    }
+  } catch (error) {
+    console.warn("Failed to load player registry", error);
+  }
+  return registry;
+}
+
+async function persistPlayerRegistry() {
+  await writeDataFile(PLAYER_REGISTRY_PATH, { players: listRegistryPlayers() });
+}
+
+let playerRegistry = loadPlayerRegistry();
+
+function listRegistryPlayers() {
+  return Array.from(playerRegistry.values()).sort((a, b) =>
+    (a.displayName || a.steamId).localeCompare(b.displayName || b.steamId)
+  );
+}
+
+function getRegistryPlayer(steamId) {
+  return steamId ? playerRegistry.get(steamId) || null : null;
+}
+
+function findRegistryPlayerByName(name) {
+  const key = normalizeNicknameKey(name);
+  if (!key) {
+    return null;
+  }
+  for (const entry of playerRegistry.values()) {
+    if (normalizeNicknameKey(entry.displayName) === key || entry.aliases.some((alias) => normalizeNicknameKey(alias) === key)) {
+      return entry;
+    }
+  }
+  return null;
+}
+
+app.get("/api/admin/players", requireAdminAccess, (_req, res) => {
+  res.json({ players: listRegistryPlayers() });
+});
+
+app.post("/api/admin/players", requireAdminAccess, async (req, res) => {
+  const steamId = normalizeSteamId(typeof req.body?.steamId === "string" ? req.body.steamId : "");
+  if (!steamId) {
+    res.status(400).json({ error: "Valid steamId is required" });
+    return;
+  }
+
+  const previous = playerRegistry.get(steamId) || null;
+  const entry = sanitizeRegistryPlayer({ ...req.body, steamId }, previous);
+  playerRegistry.set(steamId, entry);
+  try {
+    await persistPlayerRegistry();
+  } catch (error) {
+    if (previous) {
+      playerRegistry.set(steamId, previous);
+    } else {
+      playerRegistry.delete(steamId);
+    }
+    res.status(500).json({ error: "Failed to save player registry" });
+    return;
+  }
+
+  logEvent("admin", previous ? "Registered player updated" : "Player registered", {
+    steamId,
+    displayName: entry.displayName,
+    cameraNickname: entry.cameraNickname,
+    admin: req.adminActor,
+    ip: req.adminClientIp,
+  });
+  res.json({ ok: true, player: entry });
+});
+
+app.delete("/api/admin/players/:steamId", requireAdminAccess, async (req, res) => {
+  const steamId = normalizeSteamId(req.params.steamId);
+  const previous = steamId ? playerRegistry.get(steamId) : null;
+  if (!previous) {
+    res.status(404).json({ error: "Player not found" });
+    return;
+  }
+
+  playerRegistry.delete(steamId);
+  try {
+    await persistPlayerRegistry();
+  } catch (error) {
+    playerRegistry.set(steamId, previous);
+    res.status(500).json({ error: "Failed to save player registry" });
+    return;
+  }
+
+  logEvent("admin", "Registered player removed", {
+    steamId,
+    displayName: previous.displayName,
+    admin: req.adminActor,
+    ip: req.adminClientIp,
+  });
+  res.json({ ok: true });
+});
+
+function writeMjpegFrame(res, frame) {
+  if (!res || res.writableEnded || !frame?.buffer) {
+    return;
+  }
+
+  try {
+    res.write(`--${MJPEG_BOUNDARY}\r\n`);
+    res.write(`Content-Type: ${frame.mimeType || "image/jpeg"}\r\n`);
+    res.write(`Content-Length: ${frame.buffer.length}\r\n\r\n`);
+    res.write(frame.buffer);
+    res.write("\r\n");
+  } catch (error) {
+    try {
+      res.end();
+    } catch (endError) {
+      // ignore ending errors
+    }
+  }
+}
+
+function broadcastFallbackFrame(nickname, record) {
+  const key = normalizeNicknameKey(nickname);
+  if (!key || !record) {
+    return;
+  }
+
+  const clients = fallbackClients.get(key);
+  if (!clients || clients.size === 0) {
+    return;
+  }
+
+  for (const res of Array.from(clients)) {
+    if (!res || res.writableEnded) {
+      clients.delete(res);
+      continue;
+    }
+    writeMjpegFrame(res, record);
+  }
+
+  if (clients.size === 0) {
+    fallbackClients.delete(key);
+  }
+}
+
+function clearFallbackForNickname(nickname) {
+  const key = normalizeNicknameKey(nickname);
+  if (!key) {
+    return;
+  }
+
+  if (fallbackFrames.delete(key)) {
+    queueAdminCameraUpdate(key);
+  }
+
+  const clients = fallbackClients.get(key);
+  if (!clients) {
+    return;
+  }
+
+  for (const res of clients) {
+    try {
+      res.end();
+    } catch (error) {
+      // ignore client end errors
+    }
+  }
+
+  fallbackClients.delete(key);
+}
+
+function sanitizeNickname(value) {
+  if (typeof value !== "string") {
+    return null;
+  }
+
+  const trimmed = value.trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  return trimmed.replace(/\s+/g, " ");
+}
+
+function normalizeNicknameKey(value) {
+  const sanitized = sanitizeNickname(value);
+  if (!sanitized) {
+    return "";
+  }
+
+  return sanitized.replace(/\s+/g, "").toLowerCase();
+}
+
+function sendJson(target, payload) {
+  if (!target || target.readyState !== WebSocket.OPEN) {
+    return;
+  }
+  target.send(JSON.stringify(payload));
+}
+
+function broadcast(payload) {
+  const message = JSON.stringify(payload);
+  for (const client of clients) {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(message);
+    }
+  }
+}
+
+function broadcastState() {
+  broadcast({
+    type: "STATE_UPDATE",
+    currentFocus: gsiState.currentFocus,
+    focusLock: getFocusLockState(),
+  });
+  sendAdminUpdate("focus", {
+    currentFocus: gsiState.currentFocus,
+    focusLock: getFocusLockState(),
+  });
+}
+
+function getActivePublishers() {
+  return Array.from(publishers.values())
+    .map((entry) => entry.nickname)
+    .sort((a, b) => a.localeCompare(b));
+}
+
+function broadcastPublisherList() {
+  broadcast({
+    type: "ACTIVE_PUBLISHERS",
+    publishers: getActivePublishers(),
+  });
+}
+
+function buildAdminSnapshot() {
+  return {
+    type: "ADMIN_SNAPSHOT",
+    cameras: collectCameraSessions(),
+    currentFocus: gsiState.currentFocus,
+    focusLock: getFocusLockState(),
+    forcedFallback: getForcedFallbackList(),
+    quality: buildQualitySummary(),
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+function sendAdminUpdate(scope, data) {
+  if (!adminSubscribers.size) {
+    return;
+  }
+
+  const message = JSON.stringify({
+    type: "ADMIN_UPDATE",
+    scope,
+    ...data,
+    updatedAt: new Date().toISOString(),
+  });
+  for (const socket of adminSubscribers) {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(message);
+    } else {
+      adminSubscribers.delete(socket);
+    }
+  }
+}
+
+// Viewer offers and ICE restarts arrive in bursts, so camera changes are coalesced per key.
+function queueAdminCameraUpdate(key) {
+  if (!key || !adminSubscribers.size) {
+    return;
+  }
+
+  pendingAdminCameraKeys.add(key);
+  if (!adminCameraFlushTimer) {
+    adminCameraFlushTimer = setTimeout(flushAdminCameraUpdates, ADMIN_PUSH_COALESCE_MS);
+  }
+}
+
+function queueAllAdminCameraUpdates() {
+  for (const key of publishers.keys()) {
+    queueAdminCameraUpdate(key);
+  }
+}
+
+function flushAdminCameraUpdates() {
+  adminCameraFlushTimer = null;
+  const cameras = [];
+  const removed = [];
+
+  for (const key of pendingAdminCameraKeys) {
+    const entry = publishers.get(key);
+    if (entry) {
+      cameras.push(describeCameraSession(entry));
+    } else {
+      removed.push(key);
+    }
+  }
+  pendingAdminCameraKeys.clear();
+
+  if (cameras.length || removed.length) {
+    sendAdminUpdate("cameras", { cameras, removed });
+  }
+}
+
+function handleAdminSubscribe(socket, meta) {
+  adminSubscribers.add(socket);
+  sendJson(socket, buildAdminSnapshot());
+  logEvent("admin", "Admin dashboard subscribed", { socketId: meta.id, admin: meta.admin || null });
+}
+
+function handleAdminUnsubscribe(socket) {
+  adminSubscribers.delete(socket);
+}
+
+function dropViewerEntry(nickname, viewerSocketId, connectionId) {
+  if (!nickname) {
+    return;
+  }
+
+  const { entry } = getPublisherByNickname(nickname);
+  if (!entry) {
+    return;
+  }
+
+  const viewerSet = entry.viewers.get(viewerSocketId);
+  if (!viewerSet) {
+    return;
+  }
+
+  viewerSet.delete(connectionId);
+  if (viewerSet.size === 0) {
+    entry.viewers.delete(viewerSocketId);
+  }
+  entry.negotiated.delete(`${viewerSocketId}:${connectionId}`);
+  queueAdminCameraUpdate(entry.key);
+}
+
+function detachPublisher(nickname, socket) {
+  if (!nickname) {
+    return;
+  }
+
+  const { key, entry } = getPublisherByNickname(nickname);
+  if (!entry) {
+    return;
+  }
+
+  if (socket && entry.socket !== socket) {
+    return;
+  }
+
+  clearTimeout(entry.resumeTimer);
+  publishers.delete(key);
+  queueAdminCameraUpdate(key);
+  logEvent("publisher", "Publisher detached", { nickname: entry.nickname });
+
+  for (const [viewerSocketId, connectionIds] of entry.viewers.entries()) {
+    if (whepSessions.has(viewerSocketId)) {
+      closeWhepSession(whepSessions.get(viewerSocketId), "publisher detached", false);
+      continue;
+    }
+
+    const viewerSocket = socketById.get(viewerSocketId);
+    if (!viewerSocket) {
+      continue;
+    }
+
+    for (const connectionId of connectionIds) {
+      sendJson(viewerSocket, {
+        type: "STREAM_ENDED",
+        nickname: entry.nickname,
+        connectionId,
+      });
+
+      const viewerMeta = socketMeta.get(viewerSocket);
+      if (viewerMeta) {
+        viewerMeta.subscriptions.delete(connectionId);
+      }
+    }
+  }
+
+  if (
+    !focusLock &&
+    typeof gsiState.currentFocus === "string" &&
+    normalizeNicknameKey(gsiState.currentFocus) === key
+  ) {
+    commitFocus(null);
+    broadcastState();
+    logEvent("focus", "Focus cleared because publisher detached", {
+      nickname: entry.nickname,
+    });
+  }
+
+  clearFallbackForNickname(entry.nickname);
+  broadcastPublisherList();
+}
+
+function suspendPublisher(nickname, socket) {
+  const { entry } = getPublisherByNickname(nickname);
+  if (!entry || entry.socket !== socket) {
+    return;
+  }
+
+  if (!PUBLISHER_RESUME_GRACE_MS || !entry.resumeToken) {
+    detachPublisher(entry.nickname, socket);
+    return;
+  }
+
+  entry.socket = null;
+  entry.status = "RECONNECTING";
+  entry.suspendedAt = Date.now();
+  queueAdminCameraUpdate(entry.key);
+  clearTimeout(entry.resumeTimer);
+  entry.resumeTimer = setTimeout(() => {
+    entry.resumeTimer = null;
+    if (publishers.get(entry.key) !== entry || entry.socket) {
+      return;
+    }
+    logEvent("publisher", "Publisher resume window expired", { nickname: entry.nickname });
+    detachPublisher(entry.nickname, null);
+  }, PUBLISHER_RESUME_GRACE_MS);
+  entry.resumeTimer.unref?.();
+
+  logEvent("publisher", "Publisher connection lost, holding slot", {
+    nickname: entry.nickname,
+    graceMs: PUBLISHER_RESUME_GRACE_MS,
+  });
+}
+
+function isPublisherResumeToken(entry, token) {
+  if (!entry?.resumeToken || typeof token !== "string" || !token) {
+    return false;
+  }
+  const expected = Buffer.from(entry.resumeToken);
+  const provided = Buffer.from(token);
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+function takeOverPublisherSocket(entry, socket) {
+  const previousSocket = entry.socket;
+  clearTimeout(entry.resumeTimer);
+  entry.resumeTimer = null;
+  entry.suspendedAt = null;
+  entry.socket = socket;
+
+  if (previousSocket && previousSocket !== socket) {
+    const previousMeta = socketMeta.get(previousSocket);
+    if (previousMeta) {
+      previousMeta.role = null;
+      previousMeta.nickname = null;
+      previousMeta.nicknameKey = null;
+    }
+    try {
+      previousSocket.terminate();
+    } catch (error) {
+      // ignore termination errors
+    }
+  }
+}
+
+function notifyPublisherResumed(entry) {
+  for (const [viewerSocketId, connectionIds] of entry.viewers.entries()) {
+    const viewerSocket = socketById.get(viewerSocketId);
+    if (!viewerSocket) {
+      continue;
+    }
+
+    for (const connectionId of connectionIds) {
+      sendJson(viewerSocket, {
+        type: "PUBLISHER_RESUMED",
+        nickname: entry.nickname,
+        connectionId,
+      });
+    }
+  }
+}
+
+function stopViewerSubscription(
+  meta,
+  nickname,
+  connectionId,
+  notifyPublisher = true
+) {
+  if (!meta || !connectionId) {
+    return;
+  }
+
+  if (meta.subscriptions.has(connectionId)) {
+    meta.subscriptions.delete(connectionId);
+  }
+
+  dropViewerEntry(nickname, meta.id, connectionId);
+
+  if (!notifyPublisher) {
+    return;
+  }
+
+  const { entry } = getPublisherByNickname(nickname);
+  if (!entry) {
+    return;
+  }
+
+  sendJson(entry.socket, {
+    type: "VIEWER_DISCONNECTED",
+    viewerSocketId: meta.id,
+    connectionId,
+    nickname: entry.nickname,
+  });
+}
+
+function parseGsiPlayers(allplayers) {
+  const updatedPlayers = {};
+
+  for (const [steamId, player] of Object.entries(allplayers)) {
+    if (!player) {
+      continue;
+    }
+
+    const primarySteamId = normalizeSteamId(player.steamid ?? steamId) ?? normalizeSteamId(steamId) ?? String(steamId);
+    const name = typeof player.name === "string" ? player.name.trim() : "";
+    const observerSlotRaw = Number(player.observer_slot);
+    const observerSlot = Number.isFinite(observerSlotRaw) && observerSlotRaw > 0 ? observerSlotRaw : null;
+    const health = Number(player.state?.health ?? 0);
+    const reportedHealth = player.state && typeof player.state === "object" ? Number(player.state.health) : NaN;
+
+    updatedPlayers[primarySteamId] = {
+      steamId: primarySteamId,
+      rawSteamId: typeof player.steamid === "string" ? player.steamid : String(steamId),
+      name,
+      team: typeof player.team === "string" ? player.team : "",
+      health: Number.isFinite(health) ? health : 0,
+      alive: Number.isFinite(reportedHealth) ? reportedHealth > 0 : null,
+      observer_slot: observerSlot,
+      observer_slot_raw: player.observer_slot ?? null,
+    };
+
+    if (name) {
+      updatedPlayers[primarySteamId].nameLower = name.toLowerCase();
+    }
+  }
+
+  return updatedPlayers;
+}
+
+function resolveGsiFocus(data, players, playerDirectory) {
+  const spectargetRaw =
+    data.player.spectarget ?? data.player?.state?.spectarget ?? null;
+
+  const pickName = (info) => {
+    if (!info) {
+      return null;
+    }
+    const value = typeof info.name === "string" ? info.name.trim() : "";
+    return value || null;
+  };
+
+  let focusName = null;
+
+  if (
+    spectargetRaw !== null &&
+    spectargetRaw !== undefined &&
+    !(typeof spectargetRaw === "string" && !spectargetRaw.trim())
+  ) {
+    const targetMeta = parseSpectatorTarget(spectargetRaw);
+
+    if (targetMeta.steamId) {
+      focusName = pickName(players[targetMeta.steamId]);
+      if (!focusName && data.allplayers && typeof data.allplayers === "object") {
+        focusName = pickName(data.allplayers[targetMeta.steamId]);
+      }
+    }
+
+    if (!focusName && Number.isFinite(targetMeta.slot) && targetMeta.slot > 0) {
+      const bucket = playerDirectory.byObserverSlot.get(targetMeta.slot);
+      if (Array.isArray(bucket)) {
+        for (const info of bucket) {
+          focusName = pickName(info);
+          if (focusName) {
+            break;
+          }
+        }
+      }
+    }
+
+    if (!focusName && targetMeta.nameLower) {
+      focusName = pickName(playerDirectory.byNameLower.get(targetMeta.nameLower));
+    }
+
+    if (!focusName && data.allplayers && typeof data.allplayers === "object") {
+      const directKey = String(spectargetRaw);
+      focusName = pickName(data.allplayers[directKey]);
+    }
+
+    if (!focusName && targetMeta.name) {
+      focusName = targetMeta.name.trim();
+    }
+  }
+
+  if (!focusName) {
+    const directName = pickName(data.player);
+    if (directName) {
+      focusName = directName;
+    }
+  }
+
+  if (!focusName) {
+    const observerSlot = Number(data.player?.observer_slot ?? data.player?.state?.observer_slot);
+    if (Number.isFinite(observerSlot) && observerSlot > 0) {
+      const bucket = playerDirectory.byObserverSlot.get(observerSlot);
+      if (Array.isArray(bucket)) {
+        for (const info of bucket) {
+          focusName = pickName(info);
+          if (focusName) {
+            break;
+          }
+        }
+      }
+    }
+  }
+
+  if (!focusName) {
+    const steamId = normalizeSteamId(data.player?.steamid);
+    if (steamId) {
+      focusName = pickName(players[steamId] || data.allplayers?.[steamId]);
+    }
+  }
+
+  return focusName || null;
+}
+
+function findGsiPlayerByName(name, players) {
+  const key = normalizeNicknameKey(name);
+  if (!key || !players) {
+    return null;
+  }
+  for (const info of Object.values(players)) {
+    if (info && normalizeNicknameKey(info.name) === key) {
+      return info;
+    }
+  }
+  return null;
+}
+
+function resolveGsiFocusSteamId(data, focusName, players) {
+  const targetMeta = parseSpectatorTarget(data.player?.spectarget ?? data.player?.state?.spectarget ?? null);
+  const targetSteamId = normalizeSteamId(targetMeta.steamId);
+  if (targetSteamId && players[targetSteamId]) {
+    return targetSteamId;
+  }
+  return findGsiPlayerByName(focusName, players)?.steamId || findRegistryPlayerByName(focusName)?.steamId || null;
+}
+
+function readGsiTeamNames(mapInfo, teamNames) {
+  if (!mapInfo || typeof mapInfo !== "object") {
+    return;
+  }
+
+  if (mapInfo.team_ct && typeof mapInfo.team_ct === "object") {
+    const ctName = mapInfo.team_ct.name;
+    if (typeof ctName === "string" && ctName.trim()) {
+      teamNames.CT = ctName.trim();
+    }
+  }
+
+  if (mapInfo.team_t && typeof mapInfo.team_t === "object") {
+    const tName = mapInfo.team_t.name;
+    if (typeof tName === "string" && tName.trim()) {
+      teamNames.T = tName.trim();
+    }
+  }
+}
+
+function readGsiNumber(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : null;
+}
+
+function readGsiString(value) {
+  return typeof value === "string" && value.trim() ? value.trim() : null;
+}
+
+function normalizeMatchPlayer(rawSteamId, player) {
+  const state = player.state && typeof player.state === "object" ? player.state : {};
+  const stats = player.match_stats && typeof player.match_stats === "object" ? player.match_stats : {};
+  const steamId =
+    normalizeSteamId(player.steamid ?? rawSteamId) ?? normalizeSteamId(rawSteamId) ?? String(rawSteamId);
+  const health = readGsiNumber(state.health);
+  const observerSlot = readGsiNumber(player.observer_slot);
+
+  return {
+    steamId,
+    name: readGsiString(player.name) || steamId,
+    team: readGsiString(player.team)?.toUpperCase() || null,
+    observerSlot,
+    health,
+    armor: readGsiNumber(state.armor),
+    helmet: Boolean(state.helmet),
+    defuseKit: Boolean(state.defusekit),
+    money: readGsiNumber(state.money),
+    flashed: readGsiNumber(state.flashed),
+    roundKills: readGsiNumber(state.round_kills),
+    alive: health === null ? null : health > 0,
+    kills: readGsiNumber(stats.kills),
+    assists: readGsiNumber(stats.assists),
+    deaths: readGsiNumber(stats.deaths),
+    mvps: readGsiNumber(stats.mvps),
+    score: readGsiNumber(stats.score),
+  };
+}
+
+function normalizeMatchTeam(rawTeam) {
+  if (!rawTeam || typeof rawTeam !== "object") {
+    return null;
+  }
+  return {
+    name: readGsiString(rawTeam.name),
+    score: readGsiNumber(rawTeam.score),
+    timeoutsRemaining: readGsiNumber(rawTeam.timeouts_remaining),
+    consecutiveRoundLosses: readGsiNumber(rawTeam.consecutive_round_losses),
+  };
+}
+
+// Flattens a raw GSI payload into the shape overlays consume. Countdowns are
+// also exposed as absolute `endsAt` timestamps so clients can tick between posts.
+function buildMatchState(data, receivedAt = Date.now()) {
+  const mapInfo = data.map && typeof data.map === "object" ? data.map : null;
+  const roundInfo = data.round && typeof data.round === "object" ? data.round : null;
+  const countdowns = data.phase_countdowns && typeof data.phase_countdowns === "object" ? data.phase_countdowns : null;
+  const bombInfo = data.bomb && typeof data.bomb === "object" ? data.bomb : null;
+
+  const mapPhase = readGsiString(mapInfo?.phase);
+  const roundsPlayed = readGsiNumber(mapInfo?.round);
+  const ct = normalizeMatchTeam(mapInfo?.team_ct);
+  const t = normalizeMatchTeam(mapInfo?.team_t);
+
+  const phaseEndsIn = readGsiNumber(countdowns?.phase_ends_in);
+  const bombCountdown = readGsiNumber(bombInfo?.countdown);
+
+  const players = [];
+  if (data.allplayers && typeof data.allplayers === "object") {
+    for (const [rawSteamId, player] of Object.entries(data.allplayers)) {
+      if (player && typeof player === "object") {
+        players.push(normalizeMatchPlayer(rawSteamId, player));
+      }
+    }
+  } else if (data.player && typeof data.player === "object" && data.player.steamid) {
+    players.push(normalizeMatchPlayer(data.player.steamid, data.player));
+  }
+
+  players.sort((a, b) => {
+    const teamA = a.team || "";
+    const teamB = b.team || "";
+    if (teamA !== teamB) {
+      return teamA.localeCompare(teamB);
+    }
+    const slotA = Number.isFinite(a.observerSlot) ? a.observerSlot : 999;
+    const slotB = Number.isFinite(b.observerSlot) ? b.observerSlot : 999;
+    return slotA - slotB;
+  });
+
+  return {
+    map: {
+      name: readGsiString(mapInfo?.name),
+      mode: readGsiString(mapInfo?.mode),
+      phase: mapPhase,
+      roundsPlayed,
+    },
+    round: {
+      number: roundsPlayed === null ? null : mapPhase === "gameover" ? roundsPlayed : roundsPlayed + 1,
+      phase: readGsiString(roundInfo?.phase),
+      winTeam: readGsiString(roundInfo?.win_team),
+      bomb: readGsiString(roundInfo?.bomb),
+    },
+    timer: countdowns
+      ? {
+          phase: readGsiString(countdowns.phase),
+          endsIn: phaseEndsIn,
+          endsAt: phaseEndsIn === null ? null : new Date(receivedAt + phaseEndsIn * 1000).toISOString(),
+        }
+      : null,
+    score: {
+      CT: ct?.score ?? null,
+      T: t?.score ?? null,
+    },
+    teams: {
+      CT: ct,
+      T: t,
+    },
+    bomb: bombInfo
+      ? {
+          state: readGsiString(bombInfo.state),
+          carrier: normalizeSteamId(bombInfo.player) ?? readGsiString(bombInfo.player),
+          countdown: bombCountdown,
+          endsAt: bombCountdown === null ? null : new Date(receivedAt + bombCountdown * 1000).toISOString(),
+          position: readGsiString(bombInfo.position),
+        }
+      : null,
+    players,
+    updatedAt: new Date(receivedAt).toISOString(),
+  };
+}
+
+// Compares two consecutive match snapshots of the same GSI source and returns
+// the typed events that happened in between.
+function extractGameEvents(previous, next) {
+  if (!previous || !next) {
+    return [];
+  }
+
+  const events = [];
+  const round = next.round?.number ?? null;
+  const push = (kind, detail = {}) => {
+    events.push({ kind, round, ...detail });
+  };
+
+  if (previous.map.name !== next.map.name) {
+    if (next.map.name) {
+      push("map_change", { map: next.map.name, previous: previous.map.name });
+    }
+    return events;
+  }
+
+  if (next.map.phase && previous.map.phase !== next.map.phase) {
+    push("map_phase", { phase: next.map.phase, previous: previous.map.phase });
+  }
+
+  if (next.round.phase && previous.round.phase !== next.round.phase) {
+    if (next.round.phase === "live") {
+      push("round_start");
+    } else if (next.round.phase === "over") {
+      push("round_end", { winTeam: next.round.winTeam, score: { ...next.score } });
+    } else if (next.round.phase === "freezetime") {
+      push("round_freezetime");
+    }
+  }
+
+  if (next.round.bomb && previous.round.bomb !== next.round.bomb) {
+    if (next.round.bomb === "planted") {
+      push("bomb_planted", { steamId: previous.bomb?.carrier || null });
+    } else if (next.round.bomb === "defused" || next.round.bomb === "exploded") {
+      push(`bomb_${next.round.bomb}`);
+    }
+  }
+
+  const previousPlayers = new Map(previous.players.map((player) => [player.steamId, player]));
+  for (const player of next.players) {
+    const before = previousPlayers.get(player.steamId);
+    if (!before) {
+      continue;
+    }
+
+    const subject = { steamId: player.steamId, name: player.name, team: player.team };
+    const killDelta = (player.kills ?? 0) - (before.kills ?? 0);
+    if (Number.isFinite(player.kills) && Number.isFinite(before.kills) && killDelta > 0) {
+      push("kill", { ...subject, count: killDelta, kills: player.kills });
+    }
+
+    const deathDelta = (player.deaths ?? 0) - (before.deaths ?? 0);
+    if (before.alive === true && player.alive === false) {
+      push("death", { ...subject, deaths: player.deaths });
+    } else if (player.alive === null && Number.isFinite(player.deaths) && Number.isFinite(before.deaths) && deathDelta > 0) {
+      push("death", { ...subject, deaths: player.deaths });
+    } else if (player.alive && Number.isFinite(before.health) && Number.isFinite(player.health) && player.health < before.health) {
+      push("damage", { ...subject, amount: before.health - player.health, health: player.health });
+    }
+  }
+
+  return events;
+}
+
+function writeGameEventToStream(client, entry) {
+  if (client.gameEventKinds && !client.gameEventKinds.has(entry.kind)) {
+    return;
+  }
+  try {
+    client.write(`event: game\ndata:${JSON.stringify(entry)}\n\n`);
+  } catch (error) {
+    gameEventStreamClients.delete(client);
+  }
+}
+
+function emitGameEvents(events, sourceId) {
+  for (const event of events) {
+    const entry = {
+      id: nextGameEventId++,
+      timestamp: new Date().toISOString(),
+      source: sourceId,
+      ...event,
+    };
+
+    gameEvents.push(entry);
+    if (gameEvents.length > MAX_GAME_EVENTS) {
+      gameEvents.shift();
+    }
+
+    broadcast({ type: "GAME_EVENT", event: entry });
+    for (const client of gameEventStreamClients) {
+      writeGameEventToStream(client, entry);
+    }
+  }
+}
+
+function parseGameEventKinds(value) {
+  if (typeof value !== "string" || !value.trim()) {
+    return null;
+  }
+  const kinds = value
+    .split(",")
+    .map((kind) => kind.trim().toLowerCase())
+    .filter(Boolean);
+  return kinds.length ? new Set(kinds) : null;
+}
+
+function broadcastMatchState() {
+  broadcast({
+    type: "MATCH_STATE",
+    match: matchState,
+    source: activeGsiSourceId,
+  });
+}
+
+function resolveGsiSourceId(source, req) {
+  if (source) {
+    return source.id;
+  }
+  const raw = typeof req.query?.source === "string" ? req.query.source.trim().toLowerCase() : "";
+  return /^[a-z0-9_-]{1,32}$/.test(raw) ? raw : GSI_DEFAULT_SOURCE_ID;
+}
+
+function isGsiSourceConfigured(id) {
+  return (adminConfig.gsi?.sources || []).some((source) => source.id === id);
+}
+
+// In open mode any ?source= value creates a record, so idle unconfigured ones are dropped
+// and only a few may exist at once.
+function pruneGsiSources(now = Date.now()) {
+  for (const record of gsiSources.values()) {
+    if (
+      record.id === activeGsiSourceId ||
+      record.id === adminConfig.gsi?.primarySourceId ||
+      isGsiSourceConfigured(record.id)
+    ) {
+      continue;
+    }
+    if (now - (record.lastPostAt || record.firstSeenAt) > GSI_SOURCE_IDLE_MS) {
+      gsiSources.delete(record.id);
+    }
+  }
+}
+
+function canTrackGsiSource(id) {
+  if (gsiSources.has(id) || isGsiSourceConfigured(id)) {
+    return true;
+  }
+  pruneGsiSources();
+  let unconfigured = 0;
+  for (const record of gsiSources.values()) {
+    if (!isGsiSourceConfigured(record.id)) {
+      unconfigured += 1;
+    }
+  }
+  return unconfigured < GSI_MAX_UNCONFIGURED_SOURCES;
+}
+
+function getGsiSourceState(id) {
+  let record = gsiSources.get(id);
+  if (!record) {
+    record = {
+      id,
+      raw: null,
+      match: null,
+      players: {},
+      directory: createPlayerDirectory(),
+      focus: null,
+      focusSteamId: null,
+      teamNames: {
+        CT: null,
+        T: null,
+      },
+      firstSeenAt: Date.now(),
+      lastPostAt: 0,
+      postCount: 0,
+      remote: null,
+    };
+    gsiSources.set(id, record);
+  }
+  return record;
+}
+
+function getGsiFailoverMs() {
+  return (adminConfig.gsi?.failoverSeconds || GSI_DEFAULT_FAILOVER_SECONDS) * 1000;
+}
+
+function isGsiSourceFresh(record, now = Date.now()) {
+  return Boolean(record?.lastPostAt) && now - record.lastPostAt <= getGsiFailoverMs();
+}
+
+function getOrderedGsiSources() {
+  const configOrder = (adminConfig.gsi?.sources || []).map((source) => source.id);
+  const rank = (record) => {
+    const index = configOrder.indexOf(record.id);
+    return index === -1 ? configOrder.length : index;
+  };
+
+  return Array.from(gsiSources.values()).sort((a, b) => {
+    const rankA = rank(a);
+    const rankB = rank(b);
+    if (rankA !== rankB) {
+      return rankA - rankB;
+    }
+    return a.firstSeenAt - b.firstSeenAt;
+  });
+}
+
+function pickAuthoritativeGsiSource(now = Date.now()) {
+  const primaryId = adminConfig.gsi?.primarySourceId || null;
+  const primary = primaryId ? gsiSources.get(primaryId) : null;
+  if (primary && isGsiSourceFresh(primary, now)) {
+    return { record: primary, reason: "primary" };
+  }
+
+  const current = activeGsiSourceId ? gsiSources.get(activeGsiSourceId) : null;
+  if (current && isGsiSourceFresh(current, now)) {
+    return { record: current, reason: "current" };
+  }
+
+  const next = getOrderedGsiSources().find((record) => isGsiSourceFresh(record, now));
+  if (next) {
+    return { record: next, reason: primaryId ? "failover" : "auto" };
+  }
+
+  return { record: current || null, reason: "stale" };
+}
+
+function sanitizeFocusPolicy(input, fallback = DEFAULT_FOCUS_POLICY) {
+  const base = fallback || DEFAULT_FOCUS_POLICY;
+  const source = input && typeof input === "object" ? input : {};
+
+  return {
+    minDwellMs: Math.round(clampNumber(source.minDwellMs, 0, 30_000, base.minDwellMs)),
+    debounceMs: Math.round(clampNumber(source.debounceMs, 0, 10_000, base.debounceMs)),
+    ignoreDead: typeof source.ignoreDead === "boolean" ? source.ignoreDead : base.ignoreDead,
+  };
+}
+
+function ensureFocusPolicyShape(config) {
+  config.focusPolicy = sanitizeFocusPolicy(config.focusPolicy, DEFAULT_FOCUS_POLICY);
+  return config.focusPolicy;
+}
+
+function getFocusPolicy() {
+  return adminConfig.focusPolicy || DEFAULT_FOCUS_POLICY;
+}
+
+function clearPendingFocus() {
+  if (focusTracker.timer) {
+    clearTimeout(focusTracker.timer);
+    focusTracker.timer = null;
+  }
+  focusTracker.pending = null;
+}
+
+function commitFocus(nextFocus) {
+  const now = Date.now();
+  const previous = gsiState.currentFocus;
+  const dwellMs = focusTracker.committedAt ? now - focusTracker.committedAt : null;
+
+  gsiState.currentFocus = nextFocus || null;
+  focusTracker.committedAt = now;
+  clearPendingFocus();
+  return { previous, dwellMs };
+}
+
+function isFocusTargetDead(name, players, steamId = null) {
+  const info = (steamId && players?.[steamId]) || findGsiPlayerByName(name, players);
+  return info ? info.alive === false : false;
+}
+
+function evaluatePendingFocus() {
+  const pending = focusTracker.pending;
+  if (!pending) {
+    return false;
+  }
+
+  const policy = getFocusPolicy();
+  const now = Date.now();
+  const stableMs = now - pending.since;
+  const dwellMs = gsiState.currentFocus && focusTracker.committedAt ? now - focusTracker.committedAt : Infinity;
+  const waitMs = Math.max(policy.debounceMs - stableMs, policy.minDwellMs - dwellMs, 0);
+
+  if (waitMs > 0) {
+    if (focusTracker.timer) {
+      clearTimeout(focusTracker.timer);
+    }
+    focusTracker.timer = setTimeout(() => {
+      focusTracker.timer = null;
+      if (evaluatePendingFocus()) {
+        broadcastState();
+      }
+    }, waitMs);
+    focusTracker.timer.unref?.();
+    return false;
+  }
+
+  const { previous, dwellMs: heldMs } = commitFocus(pending.name);
+  logEvent("focus", "Focus updated", {
+    previous,
+    next: gsiState.currentFocus,
+    source: pending.source,
+    dwellMs: heldMs,
+    pendingMs: stableMs,
+    policy: { ...policy },
+  });
+  return true;
+}
+
+// GSI focus goes through the focus policy: a new target has to stay stable for
+// `debounceMs` and the current one has to have been on air for `minDwellMs`.
+function proposeGsiFocus(candidate, record, steamId = null) {
+  const nextFocus = candidate || null;
+  if (nextFocus === gsiState.currentFocus) {
+    clearPendingFocus();
+    return;
+  }
+
+  if (nextFocus && getFocusPolicy().ignoreDead && isFocusTargetDead(nextFocus, record.players, steamId)) {
+    clearPendingFocus();
+    return;
+  }
+
+  if (!focusTracker.pending || focusTracker.pending.name !== nextFocus) {
+    focusTracker.pending = { name: nextFocus, since: Date.now(), source: record.id };
+  }
+  evaluatePendingFocus();
+}
+
+function getFocusLockState(now = Date.now()) {
+  if (!focusLock) {
+    return null;
+  }
+
+  return {
+    nickname: focusLock.nickname,
+    lockedAt: new Date(focusLock.lockedAt).toISOString(),
+    lockedBy: focusLock.lockedBy,
+    expiresAt: focusLock.expiresAt ? new Date(focusLock.expiresAt).toISOString() : null,
+    remainingMs: focusLock.expiresAt ? Math.max(0, focusLock.expiresAt - now) : null,
+  };
+}
+
+function lockFocus(nickname, durationMs, admin) {
+  if (focusLock?.timer) {
+    clearTimeout(focusLock.timer);
+  }
+
+  const now = Date.now();
+  focusLock = {
+    nickname,
+    lockedAt: now,
+    lockedBy: admin || null,
+    expiresAt: durationMs ? now + durationMs : null,
+    timer: null,
+  };
+
+  if (durationMs) {
+    focusLock.timer = setTimeout(() => {
+      releaseFocusLock("expired");
+    }, durationMs);
+    focusLock.timer.unref?.();
+  }
+
+  const { previous } = commitFocus(nickname);
+  broadcastState();
+  logEvent("focus", "Focus locked", {
+    previous,
+    nickname,
+    durationMs: durationMs || null,
+    admin: admin || null,
+  });
+}
+
+function releaseFocusLock(reason, admin = null) {
+  if (!focusLock) {
+    return false;
+  }
+
+  const released = focusLock;
+  if (released.timer) {
+    clearTimeout(released.timer);
+  }
+  focusLock = null;
+
+  const record = activeGsiSourceId ? gsiSources.get(activeGsiSourceId) : null;
+  commitFocus(record?.focus ? resolveFocusNickname(record.focusSteamId, record.focus) : null);
+  broadcastState();
+  logEvent("focus", "Focus lock released", {
+    nickname: released.nickname,
+    next: gsiState.currentFocus,
+    reason,
+    admin,
+  });
+  return true;
+}
+
+function sanitizeAutoDirectorConfig(input, fallback = DEFAULT_AUTO_DIRECTOR) {
+  const base = fallback || DEFAULT_AUTO_DIRECTOR;
+  const source = input && typeof input === "object" ? input : {};
+  const mode = typeof source.mode === "string" ? source.mode.trim().toLowerCase() : "";
+  const weightsSource = source.weights && typeof source.weights === "object" ? source.weights : {};
+
+  const weights = {};
+  for (const [name, value] of Object.entries(base.weights)) {
+    weights[name] = Math.round(clampNumber(weightsSource[name], 0, 100, value));
+  }
+
+  return {
+    mode: AUTO_DIRECTOR_MODES.has(mode) ? mode : base.mode,
+    killWindowSeconds: Math.round(clampNumber(source.killWindowSeconds, 1, 60, base.killWindowSeconds)),
+    weights,
+  };
+}
+
+function ensureAutoDirectorShape(config) {
+  config.autoDirector = sanitizeAutoDirectorConfig(config.autoDirector, DEFAULT_AUTO_DIRECTOR);
+  return config.autoDirector;
+}
+
+function getAutoDirectorConfig() {
+  return adminConfig.autoDirector || DEFAULT_AUTO_DIRECTOR;
+}
+
+// Scores every alive player of the source's latest snapshot:
+// - recentKill: per kill inside the kill window
+// - bombCarrier: carrying, planting or defusing the bomb
+// - clutch: last alive player of a team while the enemy still has players
+// - lowHpDuel: at 40 HP or less while both sides are down to two players
+function scoreAutoDirectorCandidates(record, config, now = Date.now()) {
+  const match = record.match;
+  if (!match || !Array.isArray(match.players)) {
+    return [];
+  }
 
-const adminAuthMiddleware = basicAuth({
-  users: { [adminUser]: adminPass },
-  challenge: true,
-});
+  const { weights } = config;
+  const alive = match.players.filter((player) => player.alive !== false && player.team);
+  const aliveByTeam = new Map();
+  for (const player of alive) {
+    aliveByTeam.set(player.team, (aliveByTeam.get(player.team) || 0) + 1);
+  }
 
-const ADMIN_PATHS = [
-  "/admin.html",
-  "/admin-pro.html",
-  "/admin-v2.html",
-  "/_webrtc",
-  "/head_admin.html",
-  "/admin",
-  "/admin-panel",
-  "/api/admin",
-  "/api/admin/*",
-  "/api/gsi/state",
-  "/api/admin/cameras",
-  "/logs",
-  "/api/logs",
-  "/api/logs/*",
-];
+  const killWindowMs = config.killWindowSeconds * 1000;
+  const recentKills = new Map();
+  for (const entry of gameEvents) {
+    if (entry.kind !== "kill" || entry.source !== record.id) {
+      continue;
+    }
+    if (now - Date.parse(entry.timestamp) > killWindowMs) {
+      continue;
+    }
+    recentKills.set(entry.steamId, (recentKills.get(entry.steamId) || 0) + (entry.count || 1));
+  }
 
-app.use(ADMIN_PATHS, (req, res, next) => {
-  const clientIp = extractClientIp(req);
-  if (isIpAllowed(clientIp)) {
-    req.adminClientIp = clientIp;
-    next();
+  const bombHolder =
+    match.bomb && ["carried", "planting", "defusing"].includes(match.bomb.state) ? match.bomb.carrier : null;
+
+  const candidates = [];
+  for (const player of alive) {
+    const reasons = [];
+    let score = 0;
+
+    const kills = recentKills.get(player.steamId) || 0;
+    if (kills && weights.recentKill) {
+      score += kills * weights.recentKill;
+      reasons.push(`recentKill x${kills}`);
+    }
+
+    if (bombHolder && bombHolder === player.steamId && weights.bombCarrier) {
+      score += weights.bombCarrier;
+      reasons.push(`bomb ${match.bomb.state}`);
+    }
+
+    const teammates = aliveByTeam.get(player.team) || 0;
+    const enemies = alive.length - teammates;
+    if (teammates === 1 && enemies > 0 && weights.clutch) {
+      score += weights.clutch;
+      reasons.push(`clutch 1v${enemies}`);
+    }
+
+    if (
+      Number.isFinite(player.health) &&
+      player.health <= 40 &&
+      teammates <= 2 &&
+      enemies > 0 &&
+      enemies <= 2 &&
+      weights.lowHpDuel
+    ) {
+      score += weights.lowHpDuel;
+      reasons.push(`lowHp ${player.health}`);
+    }
+
+    if (score > 0) {
+      candidates.push({ nickname: player.name, steamId: player.steamId, team: player.team, score, reasons });
+    }
+  }
+
+  candidates.sort((a, b) => b.score - a.score || a.nickname.localeCompare(b.nickname));
+  return candidates;
+}
+
+function runAutoDirector(record) {
+  const config = getAutoDirectorConfig();
+  if (config.mode === "off" || record.focus) {
+    autoDirectorState.suggestion = null;
+    return null;
+  }
+
+  const [best] = scoreAutoDirectorCandidates(record, config);
+  const previous = autoDirectorState.suggestion;
+  autoDirectorState.suggestion = best ? { ...best, mode: config.mode, at: new Date().toISOString() } : null;
+
+  if (best && previous?.steamId !== best.steamId) {
+    logEvent("focus", config.mode === "auto" ? "Auto-director picked focus" : "Auto-director suggestion", {
+      nickname: best.nickname,
+      steamId: best.steamId,
+      score: best.score,
+      reasons: best.reasons,
+      mode: config.mode,
+      source: record.id,
+    });
+  }
+
+  return config.mode === "auto" && best ? best : null;
+}
+
+function proposeGsiSourceFocus(record) {
+  if (record.focus) {
+    proposeGsiFocus(resolveFocusNickname(record.focusSteamId, record.focus), record, record.focusSteamId);
     return;
   }
-  adminAuthMiddleware(req, res, next);
-});
 
-// Updated for TURN server integration: expose static frontend assets
-app.get("/", (_req, res) => {
-  res.sendFile(path.join(PUBLIC_DIR, "main-gb-full-27.html"));
-});
+  const pick = runAutoDirector(record);
+  proposeGsiFocus(pick ? resolveFocusNickname(pick.steamId, pick.nickname) : null, record, pick?.steamId || null);
+}
 
-app.get("/register.html", (_req, res) => {
-  res.sendFile(path.join(PUBLIC_DIR, "register.html"));
-});
+function slugifyTeamId(value) {
+  const sanitized = sanitizeNickname(value);
+  if (!sanitized) {
+    return "";
+  }
+  return sanitized
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 48);
+}
 
-app.get("/admin.html", (req, res, next) => {
-  res.sendFile(path.join(__dirname, "private", "admin.html"), (error) => {
-    if (error) {
-      next(error);
+function readGsiSideRosters(record) {
+  return GSI_TEAM_SIDES.map((side) => {
+    const steamIds = new Set();
+    const registryTeams = new Map();
+    for (const player of Object.values(record.players || {})) {
+      if (!player || player.team !== side) {
+        continue;
+      }
+      steamIds.add(player.steamId);
+      const teamName = getRegistryPlayer(player.steamId)?.team;
+      if (teamName) {
+        registryTeams.set(teamName, (registryTeams.get(teamName) || 0) + 1);
+      }
+    }
+
+    let registryName = null;
+    for (const [teamName, count] of registryTeams) {
+      if (!registryName || count > registryTeams.get(registryName)) {
+        registryName = teamName;
+      }
+    }
+
+    return { side, name: record.teamNames?.[side] || registryName, steamIds };
+  });
+}
+
+function scoreTeamIdentity(identity, roster) {
+  if (!identity || !roster) {
+    return 0;
+  }
+  const nameKey = normalizeNicknameKey(roster.name);
+  if (nameKey && nameKey === normalizeNicknameKey(identity.name)) {
+    return 100;
+  }
+  let overlap = 0;
+  for (const steamId of roster.steamIds) {
+    if (identity.steamIds.has(steamId)) {
+      overlap += 1;
+    }
+  }
+  return overlap;
+}
+
+function createTeamIdentity(roster, slot) {
+  const taken = new Set(teamIdentities.map((identity) => identity.id));
+  let id = slugifyTeamId(roster.name) || `team-${slot}`;
+  if (taken.has(id)) {
+    id = `${id}-${slot}`;
+  }
+  return { id, name: roster.name || null, slot, side: roster.side, steamIds: new Set(roster.steamIds) };
+}
+
+// Keeps the two squads of the current matchup stable across side swaps. Sides are
+// matched to known teams by name first and by SteamID overlap otherwise; the team
+// first seen on CT stays "left" until a completely new matchup shows up.
+function updateTeamIdentities(record) {
+  const [ct, t] = readGsiSideRosters(record);
+  if (!ct.steamIds.size && !t.steamIds.size && !ct.name && !t.name) {
+    return;
+  }
+
+  const [first, second] = teamIdentities;
+  const straight = scoreTeamIdentity(first, ct) + scoreTeamIdentity(second, t);
+  const swapped = scoreTeamIdentity(first, t) + scoreTeamIdentity(second, ct);
+
+  let pairs;
+  if (!straight && !swapped) {
+    teamIdentities = [];
+    const left = createTeamIdentity(ct, "left");
+    teamIdentities.push(left);
+    const right = createTeamIdentity(t, "right");
+    teamIdentities.push(right);
+    pairs = [
+      [left, ct],
+      [right, t],
+    ];
+    logEvent("gsi", "Team identities assigned", {
+      left: left.id,
+      right: right.id,
+      source: record.id,
+    });
+  } else {
+    pairs =
+      straight >= swapped
+        ? [
+            [first, ct],
+            [second, t],
+          ]
+        : [
+            [first, t],
+            [second, ct],
+          ];
+  }
+
+  for (let [identity, roster] of pairs) {
+    if (!identity) {
+      continue;
+    }
+    if (!scoreTeamIdentity(identity, roster) && (roster.name || roster.steamIds.size)) {
+      const replacement = createTeamIdentity(roster, identity.slot);
+      teamIdentities[teamIdentities.indexOf(identity)] = replacement;
+      logEvent("gsi", "Team identity replaced", {
+        previous: identity.id,
+        next: replacement.id,
+        slot: identity.slot,
+        source: record.id,
+      });
+      identity = replacement;
+    }
+    if (identity.side !== roster.side) {
+      logEvent("gsi", "Team switched sides", { team: identity.id, side: roster.side, source: record.id });
+    }
+    identity.side = roster.side;
+    if (roster.name) {
+      identity.name = roster.name;
+    }
+    if (roster.steamIds.size) {
+      identity.steamIds = new Set(roster.steamIds);
+    }
+  }
+}
+
+function sanitizeTeamOverride(input) {
+  const source = input && typeof input === "object" ? input : {};
+  const override = {};
+
+  const name = sanitizeNickname(source.name);
+  if (name) {
+    override.name = name;
+  }
+  const tag = sanitizeTeamTag(source.tag);
+  if (tag) {
+    override.tag = tag;
+  }
+  const logo = sanitizePhotoUrl(source.logo);
+  if (logo) {
+    override.logo = logo;
+  }
+  const colorSource = source.colors && typeof source.colors === "object" ? source.colors : {};
+  const colors = {};
+  for (const key of ["primary", "secondary"]) {
+    const color = sanitizeTeamColor(colorSource[key]);
+    if (color) {
+      colors[key] = color;
+    }
+  }
+  if (Object.keys(colors).length) {
+    override.colors = colors;
+  }
+  if (source.score !== null && source.score !== undefined && source.score !== "") {
+    const score = clampNumber(source.score, 0, 99, null);
+    if (score !== null) {
+      override.score = Math.round(score);
+    }
+  }
+
+  return override;
+}
+
+function ensureTeamOverridesShape(config) {
+  const source = config.teamOverrides && typeof config.teamOverrides === "object" ? config.teamOverrides : {};
+  const sides = {};
+  for (const side of GSI_TEAM_SIDES) {
+    const override = sanitizeTeamOverride(source.sides?.[side]);
+    if (Object.keys(override).length) {
+      sides[side] = override;
+    }
+  }
+  const teams = {};
+  for (const [rawId, value] of Object.entries(source.teams && typeof source.teams === "object" ? source.teams : {})) {
+    const id = slugifyTeamId(rawId);
+    const override = sanitizeTeamOverride(value);
+    if (id && Object.keys(override).length) {
+      teams[id] = override;
     }
+  }
+  config.teamOverrides = { sides, teams };
+  return config.teamOverrides;
+}
+
+// Team-level overrides follow the squad across halftime and win over side-level ones.
+function getTeamOverride(side, teamId) {
+  const overrides = adminConfig.teamOverrides || { sides: {}, teams: {} };
+  const sideOverride = (side && overrides.sides[side]) || {};
+  const teamOverride = (teamId && overrides.teams[teamId]) || {};
+  return {
+    ...sideOverride,
+    ...teamOverride,
+    colors: sideOverride.colors || teamOverride.colors ? { ...sideOverride.colors, ...teamOverride.colors } : undefined,
+  };
+}
+
+function brandTeam(team, side, teamId) {
+  const override = getTeamOverride(side, teamId);
+  if (override.name) {
+    team.name = override.name;
+  }
+
+  const catalogued = findCatalogueTeam(team.name);
+  if (catalogued) {
+    team.tag = catalogued.tag;
+    team.logo = catalogued.logo;
+    team.altLogo = catalogued.altLogo;
+    team.colors = catalogued.colors;
+  }
+
+  if (override.tag) {
+    team.tag = override.tag;
+  }
+  if (override.logo) {
+    team.logo = override.logo;
+  }
+  if (override.colors) {
+    team.colors = { ...team.colors, ...override.colors };
+  }
+
+  team.score = Number.isFinite(override.score) ? override.score : side ? matchState?.score?.[side] ?? null : null;
+  team.overridden = Object.values(override).some((value) => value !== undefined);
+  return team;
+}
+
+function buildTeamBranding() {
+  return GSI_TEAM_SIDES.map((side) => {
+    const identity = teamIdentities.find((entry) => entry.side === side) || null;
+    return brandTeam(
+      {
+        side,
+        teamId: identity?.id || null,
+        slot: identity?.slot || null,
+        name: gsiState.teamNames[side] || identity?.name || side,
+        tag: null,
+        logo: null,
+        altLogo: null,
+        colors: null,
+      },
+      side,
+      identity?.id || null
+    );
+  });
+}
+
+let lastTeamBrandingJson = "";
+
+function broadcastTeamBranding() {
+  const teams = buildTeamBranding();
+  const serialized = JSON.stringify(teams);
+  if (serialized === lastTeamBrandingJson) {
+    return;
+  }
+  lastTeamBrandingJson = serialized;
+  broadcast({ type: "TEAM_BRANDING", teams });
+}
+
+function describeTeamIdentities() {
+  return teamIdentities.map((identity) => ({
+    id: identity.id,
+    name: identity.name,
+    slot: identity.slot,
+    side: identity.side,
+    steamIds: Array.from(identity.steamIds),
+  }));
+}
+
+function applyGsiSourceState(record) {
+  latestGSI = record.raw;
+  gsiState.players = record.players;
+  gsiState.teamNames = { ...record.teamNames };
+  updateTeamIdentities(record);
+
+  matchState = record.match;
+  broadcastMatchState();
+  broadcastTeamBranding();
+
+  if (!focusLock) {
+    proposeGsiSourceFocus(record);
+  }
+  broadcastState();
+}
+
+function updateAuthoritativeGsiSource({ apply = true } = {}) {
+  const { record, reason } = pickAuthoritativeGsiSource();
+  const nextId = record?.id || null;
+  if (nextId === activeGsiSourceId) {
+    return false;
+  }
+
+  const previousId = activeGsiSourceId;
+  activeGsiSourceId = nextId;
+  logEvent("gsi", "Authoritative GSI source changed", {
+    previous: previousId,
+    next: nextId,
+    reason,
+  });
+
+  if (record && apply) {
+    applyGsiSourceState(record);
+  }
+  return true;
+}
+
+function describeGsiSources(now = Date.now()) {
+  const configured = adminConfig.gsi?.sources || [];
+  const labels = new Map(configured.map((source) => [source.id, source.label]));
+  const ids = [
+    ...configured.map((source) => source.id),
+    ...getOrderedGsiSources()
+      .map((record) => record.id)
+      .filter((id) => !labels.has(id)),
+  ];
+
+  const sources = ids.map((id) => {
+    const record = gsiSources.get(id) || null;
+    return {
+      id,
+      label: labels.get(id) || (record ? id : ""),
+      configured: labels.has(id),
+      lastPostAt: record?.lastPostAt ? new Date(record.lastPostAt).toISOString() : null,
+      ageMs: record?.lastPostAt ? now - record.lastPostAt : null,
+      fresh: isGsiSourceFresh(record, now),
+      postCount: record?.postCount || 0,
+      remote: record?.remote || null,
+      focus: record?.focus || null,
+      focusSteamId: record?.focusSteamId || null,
+      active: id === activeGsiSourceId,
+      primary: id === (adminConfig.gsi?.primarySourceId || null),
+    };
   });
+
+  return {
+    activeSourceId: activeGsiSourceId,
+    primarySourceId: adminConfig.gsi?.primarySourceId || null,
+    failoverSeconds: adminConfig.gsi?.failoverSeconds || GSI_DEFAULT_FAILOVER_SECONDS,
+    sources,
+  };
+}
+
+function logGsiRejection(clientIp, reason) {
+  const throttleKey = `${clientIp}|${reason}`;
+  const now = Date.now();
+  const lastLoggedAt = gsiRejectLogTimestamps.get(throttleKey) || 0;
+  if (now - lastLoggedAt < GSI_REJECT_LOG_INTERVAL_MS) {
+    return;
+  }
+
+  if (gsiRejectLogTimestamps.size > 500) {
+    gsiRejectLogTimestamps.clear();
+  }
+  gsiRejectLogTimestamps.set(throttleKey, now);
+  logEvent("error", "GSI post rejected", { ip: clientIp, reason });
+}
+
+app.post("/api/gsi", (req, res) => {
+  const body = req.body && typeof req.body === "object" ? req.body : {};
+  const clientIp = extractClientIp(req);
+  const auth = authenticateGsiPayload(body);
+  if (!auth.ok) {
+    logGsiRejection(clientIp, auth.reason);
+    res.status(401).json({ error: "Invalid GSI token" });
+    return;
+  }
+
+  const { auth: _auth, ...data } = body;
+  const sourceId = resolveGsiSourceId(auth.source, req);
+  if (!canTrackGsiSource(sourceId)) {
+    logGsiRejection(clientIp, "too many sources");
+    res.status(429).json({ error: "Too many GSI sources" });
+    return;
+  }
+  const record = getGsiSourceState(sourceId);
+  const previousMatch = record.match;
+  record.raw = data;
+  record.lastPostAt = Date.now();
+  record.match = buildMatchState(data, record.lastPostAt);
+  const events = extractGameEvents(previousMatch, record.match);
+  record.postCount += 1;
+  record.remote = clientIp;
+
+  if (data.allplayers && typeof data.allplayers === "object") {
+    record.players = parseGsiPlayers(data.allplayers);
+    rebuildPlayerDirectory(record.players, record.directory);
+  }
+
+  record.focus =
+    data.player && typeof data.player === "object"
+      ? resolveGsiFocus(data, record.players, record.directory)
+      : null;
+  record.focusSteamId = record.focus ? resolveGsiFocusSteamId(data, record.focus, record.players) : null;
+  readGsiTeamNames(data.map, record.teamNames);
+
+  const switched = updateAuthoritativeGsiSource({ apply: false });
+  if (activeGsiSourceId === record.id && events.length) {
+    emitGameEvents(events, record.id);
+  }
+
+  const active = activeGsiSourceId ? gsiSources.get(activeGsiSourceId) : null;
+  if (active && (switched || active === record)) {
+    applyGsiSourceState(active);
+  }
+
+  res.json({ ok: true, source: record.id, authoritative: activeGsiSourceId === record.id });
 });
 
-app.get("/admin-pro.html", (req, res, next) => {
-  res.sendFile(path.join(__dirname, "private", "admin-pro.html"), (error) => {
-    if (error) {
-      next(error);
+function describeRegistryPlayer(registered) {
+  return {
+    steamId: registered.steamId,
+    displayName: registered.displayName,
+    aliases: registered.aliases,
+    teamName: registered.team,
+    cameraNickname: registered.cameraNickname,
+    photo: registered.photo,
+    registered: true,
+  };
+}
+
+function buildPlayerList() {
+  const source = latestGSI && typeof latestGSI === "object" ? latestGSI.allplayers : null;
+  const records = [];
+
+  if (source && typeof source === "object") {
+    for (const key of Object.keys(source)) {
+      const entry = source[key] || {};
+      const id = typeof entry.steamid === "string" && entry.steamid.trim() ? entry.steamid.trim() : String(key);
+      const name = typeof entry.name === "string" && entry.name.trim() ? entry.name.trim() : id;
+      const team = typeof entry.team === "string" && entry.team.trim() ? entry.team.trim() : null;
+      const observerSlotRaw = entry.observer_slot ?? entry.observer_slot_raw ?? null;
+      const observerSlot = Number.isFinite(Number(observerSlotRaw)) ? Number(observerSlotRaw) : null;
+
+      records.push({
+        id,
+        name,
+        team,
+        observer_slot: observerSlot,
+        state: entry.state && typeof entry.state === "object" ? entry.state : null,
+      });
+    }
+  } else {
+    for (const player of Object.values(gsiState.players)) {
+      if (!player) {
+        continue;
+      }
+      const id = typeof player.steamId === "string" && player.steamId.trim() ? player.steamId.trim() : player.rawSteamId || "";
+      const name = typeof player.name === "string" && player.name.trim() ? player.name.trim() : id || "Player";
+      const observerSlot = Number.isFinite(Number(player.observer_slot)) ? Number(player.observer_slot) : null;
+      const team = typeof player.team === "string" && player.team.trim() ? player.team.trim() : null;
+
+      records.push({
+        id: id || name,
+        name,
+        team,
+        observer_slot: observerSlot,
+        state: null,
+      });
+    }
+  }
+
+  if (!records.length) {
+    for (const registered of playerRegistry.values()) {
+      records.push({
+        id: registered.steamId,
+        name: registered.displayName || registered.steamId,
+        team: null,
+        observer_slot: null,
+        state: null,
+      });
+    }
+  }
+
+  for (const record of records) {
+    const registered = getRegistryPlayer(normalizeSteamId(record.id)) || findRegistryPlayerByName(record.name);
+    if (registered) {
+      Object.assign(record, describeRegistryPlayer(registered));
     }
-  });
-});
+  }
 
-app.get("/admin-v2.html", (req, res, next) => {
-  res.sendFile(path.join(__dirname, "private", "admin-v2.html"), (error) => {
-    if (error) {
-      next(error);
+  records.sort((a, b) => {
+    const teamA = (a.team || "").toUpperCase();
+    const teamB = (b.team || "").toUpperCase();
+    if (teamA !== teamB) {
+      return teamA.localeCompare(teamB);
+    }
+    const slotA = Number.isFinite(a.observer_slot) ? a.observer_slot : 999;
+    const slotB = Number.isFinite(b.observer_slot) ? b.observer_slot : 999;
+    if (slotA !== slotB) {
+      return slotA - slotB;
     }
+    return a.name.localeCompare(b.name);
   });
+
+  return records;
+}
+
+app.get("/players", (req, res) => {
+  res.json({ players: buildPlayerList() });
 });
 
-app.get("/_webrtc", (req, res, next) => {
-  res.sendFile(path.join(PUBLIC_DIR, "_webrtc.html"), (error) => {
-    if (error) {
-      next(error);
-    }
+app.get("/api/gsi/state", requireAdminAccess, (_req, res) => {
+  res.json({
+    players: buildPlayerList(),
+    currentFocus: gsiState.currentFocus,
+    focusLock: getFocusLockState(),
+    teamNames: gsiState.teamNames,
+    raw: latestGSI,
+    ...describeGsiSources(),
+    updatedAt: new Date().toISOString(),
   });
 });
 
-app.get("/webrtc/diag", (req, res, next) => {
-  res.sendFile(path.join(PUBLIC_DIR, "webrtc", "diag", "index.html"), (error) => {
-    if (error) {
-      next(error);
-    }
+app.get("/api/match", (_req, res) => {
+  res.json({
+    match: matchState,
+    source: activeGsiSourceId,
+    updatedAt: new Date().toISOString(),
   });
 });
 
-app.get("/head_admin.html", (req, res, next) => {
-  res.sendFile(path.join(__dirname, "head_admin.html"), (error) => {
-    if (error) {
-      next(error);
-    }
-  });
+app.get("/api/game-events", (req, res) => {
+  const since = Number(req.query?.since);
+  const kinds = parseGameEventKinds(req.query?.kinds);
+  const events = gameEvents.filter(
+    (entry) => (!Number.isFinite(since) || entry.id > since) && (!kinds || kinds.has(entry.kind))
+  );
+  res.json({ events });
 });
 
-app.get("/assets/team-logos.json", async (_req, res) => {
+app.get("/api/game-events/stream", (req, res) => {
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+  res.setHeader("Connection", "keep-alive");
+  res.flushHeaders?.();
+
+  const client = res;
+  client.gameEventKinds = parseGameEventKinds(req.query?.kinds);
+  gameEventStreamClients.add(client);
+
+  const snapshot = gameEvents.filter((entry) => !client.gameEventKinds || client.gameEventKinds.has(entry.kind));
   try {
-    const response = await fetch("https://waywayway-production.up.railway.app/teams", { timeout: 8000 });
-    if (!response.ok) {
-      res.status(502).json({ error: "Upstream failed", status: response.status });
-      return;
-    }
-    const data = await response.json();
-    res.set("Cache-Control", "public, max-age=300");
-    res.json(data);
+    client.write(`event: snapshot\ndata:${JSON.stringify(snapshot)}\n\n`);
   } catch (error) {
-    res.status(502).json({ error: "Proxy error", detail: String(error) });
+    // ignore snapshot failures
   }
+
+  req.on("close", () => {
+    gameEventStreamClients.delete(client);
+  });
 });
 
-app.use(express.static(PUBLIC_DIR));
+app.get("/current-focus", (req, res) => {
+  res.json({ currentFocus: gsiState.currentFocus, focusLock: getFocusLockState() });
+});
 
-const server = http.createServer(app);
-const wss = new WebSocketServer({ server });
+app.get("/api/current-focus", (req, res) => {
+  res.json({ currentFocus: gsiState.currentFocus, focusLock: getFocusLockState() });
+});
 
-const clients = new Set();
-const socketMeta = new Map();
-const socketById = new Map();
-const publishers = new Map();
-let nextSocketId = 1;
+app.get("/teams", (req, res) => {
+  const payload = latestGSI && typeof latestGSI === "object" ? latestGSI : {};
+  const source = payload.allplayers && typeof payload.allplayers === "object" ? payload.allplayers : {};
+  const hints = {
+    CT: typeof payload?.map?.team_ct?.name === "string" && payload.map.team_ct.name.trim()
+      ? payload.map.team_ct.name.trim()
+      : gsiState.teamNames.CT,
+    T: typeof payload?.map?.team_t?.name === "string" && payload.map.team_t.name.trim()
+      ? payload.map.team_t.name.trim()
+      : gsiState.teamNames.T,
+  };
 
-function getPublisherByNickname(input) {
-  const key = normalizeNicknameKey(input);
-  if (!key) {
-    return { key: "", entry: null };
-  }
-  const entry = publishers.get(key) || null;
-  return { key, entry };
-}
+  const teamMap = new Map();
 
-const PORT = Number(process.env.PORT) || 3000;
-const HOST = "0.0.0.0";
-const SITE_LINKS = [
-  { label: "Main Focus", href: "/main-gb-full-27.html" },
-  { label: "CT Cameras", href: "/ct-side-gb-27.html" },
-  { label: "T Cameras", href: "/t-side-gb-27.html" },
-  { label: "Register Camera", href: "/register.html" },
-];
+  const ensureTeam = (id) => {
+    const normalized = (id || "UNKNOWN").toUpperCase();
+    if (!teamMap.has(normalized)) {
+      const hintName = hints[normalized] || normalized;
+      teamMap.set(normalized, {
+        id: normalized,
+        name: hintName || normalized,
+        players: [],
+        logo: null,
+        altLogo: null,
+        colors: null,
+      });
+    }
+    return teamMap.get(normalized);
+  };
+
+  for (const key of Object.keys(source)) {
+    const entry = source[key] || {};
+    const teamIdRaw = typeof entry.team === "string" && entry.team.trim() ? entry.team.trim() : "UNKNOWN";
+  const teamBucket = ensureTeam(teamIdRaw);
 
+    const playerId = typeof entry.steamid === "string" && entry.steamid.trim() ? entry.steamid.trim() : String(key);
+    const name = typeof entry.name === "string" && entry.name.trim() ? entry.name.trim() : playerId;
+    const observerSlotRaw = entry.observer_slot ?? entry.observer_slot_raw ?? null;
+    const observerSlot = Number.isFinite(Number(observerSlotRaw)) ? Number(observerSlotRaw) : null;
 
-const MJPEG_BOUNDARY = "frame";
-const fallbackFrames = new Map();
-const fallbackClients = new Map();
+    const registered = getRegistryPlayer(normalizeSteamId(playerId)) || findRegistryPlayerByName(name);
+    teamBucket.players.push({
+      id: playerId,
+      name,
+      observer_slot: observerSlot,
+      ...(registered ? describeRegistryPlayer(registered) : {}),
+    });
+  }
 
-const TURN_SECRET = process.env.TURN_STATIC_AUTH_SECRET || "7f7125d43be5b0c1c50e99a578e97102";
+  if (!Object.keys(source).length) {
+    for (const registered of playerRegistry.values()) {
+      if (!registered.team) {
+        continue;
+      }
+      const teamBucket = ensureTeam(registered.team);
+      teamBucket.name = registered.team;
+      teamBucket.players.push({
+        id: registered.steamId,
+        name: registered.displayName || registered.steamId,
+        observer_slot: null,
+        ...describeRegistryPlayer(registered),
+      });
+    }
+  }
 
-function genTurnRestCred({ secret, ttlSec = 3600, userId = "pm-camera" }) {
-  const now = Math.floor(Date.now() / 1000);
-  const username = `${now + ttlSec}:${userId}`;      // формат "expires:userId"
-  const credential = crypto.createHmac("sha1", secret)
-    .update(username)
-    .digest("base64");
-  return { username, credential, ttlSec };
-}
+  // ensure hints captured even without players
+  for (const key of Object.keys(hints)) {
+    if (!hints[key]) {
+      continue;
+    }
+  ensureTeam(key);
+  const existing = teamMap.get(key);
+    if (existing) {
+      existing.name = hints[key];
+    }
+  }
 
-app.get("/api/webrtc/config", (req, res) => {
-  const { username, credential, ttlSec } = genTurnRestCred({
-    secret: TURN_SECRET,
-    ttlSec: 3600,
-    userId: "pm-camera"
-  });
+  for (const identity of teamIdentities) {
+    const team = teamMap.get(identity.side);
+    if (team) {
+      team.teamId = identity.id;
+      team.slot = identity.slot;
+      team.side = identity.side;
+    }
+  }
 
-  res.json({
-    iceServers: [
-      {
-        urls: [
-          "stun:turn.raptors.life:3478",
-          "turn:turn.raptors.life:3478?transport=udp",
-          "turns:turn.raptors.life:5349?transport=tcp"
-        ],
-        username,
-        credential
-      },
-      {
-        urls: [
-          "stun:turn2.raptors.life:3478",
-          "turn:turn2.raptors.life:3478?transport=udp",
-          "turns:turn2.raptors.life:5349?transport=tcp"
-        ],
-        username,
-        credential
-      },
-      // (опционально) Google STUN в хвост:
-      { urls: ["stun:stun.l.google.com:19302"] }
-    ],
-    ttlSec
+  for (const team of teamMap.values()) {
+    const side = GSI_TEAM_SIDES.includes(team.id) ? team.id : null;
+    brandTeam(team, side, team.teamId || null);
+  }
+
+  const teams = Array.from(teamMap.values()).map((team) => {
+    team.players.sort((a, b) => {
+      const slotA = Number.isFinite(a.observer_slot) ? a.observer_slot : 999;
+      const slotB = Number.isFinite(b.observer_slot) ? b.observer_slot : 999;
+      if (slotA !== slotB) {
+        return slotA - slotB;
+      }
+      return a.name.localeCompare(b.name);
+    });
+    return team;
   });
+
+  res.json({ teams, identities: describeTeamIdentities() });
 });
 
-// Админская выдача TURN-кредов в формате, который ждёт фронт:
-app.get("/api/webrtc/turn-creds", (req, res) => {
-  const adminKey = String(req.query.key || "");
-  if (adminKey !== process.env.TURN_ADMIN_KEY) {
-    return res.status(401).json({ error: "unauthorized" });
-  }
-  const { username, credential, ttlSec } = genTurnRestCred({
-    secret: TURN_SECRET,
-    ttlSec: 3600,
-    userId: "admin-viewer"
-  });
-  const primaryUrls = [
-    "stun:turn.raptors.life:3478",
-    "turn:turn.raptors.life:3478?transport=udp",
-    "turns:turn.raptors.life:5349?transport=tcp"
-  ];
-  const secondaryUrls = [
-    "stun:turn2.raptors.life:3478",
-    "turn:turn2.raptors.life:3478?transport=udp",
-    "turns:turn2.raptors.life:5349?transport=tcp"
-  ];
+app.get("/admin-panel", requireAdminAccess, (_req, res) => {
+  res.sendFile(path.join(__dirname, "private", "admin.html"));
+});
+
+app.get("/api/admin/dashboard", requireAdminAccess, (req, res) => {
   res.json({
-    urls: primaryUrls,
-    iceServers: [
-      {
-        urls: primaryUrls,
-        username,
-        credential
-      },
-      {
-        urls: secondaryUrls,
-        username,
-        credential
-      }
-    ],
-    username,
-    credential,
-    ttlSec
+    account: describeAdminAccount(req.adminAccount),
+    accounts: hasAdminRole(req.adminAccount, "owner") ? listAdminAccounts() : null,
+    allowedIps: adminConfig.allowedIps,
+    publishers: collectPublisherStats(),
+    currentFocus: gsiState.currentFocus,
+    focusLock: getFocusLockState(),
+    teamNames: gsiState.teamNames,
+    roster: buildPlayerList(),
+    playerRegistry: listRegistryPlayers(),
+    teamCatalogue: listCatalogueTeams(),
+    teamImport: { count: teamImportCache.teams.length, importedAt: teamImportCache.importedAt },
+    teamOverrides: adminConfig.teamOverrides,
+    teamBranding: buildTeamBranding(),
+    siteLinks: SITE_LINKS,
+    ownerIp: OWNER_IP,
+    forcedFallback: getForcedFallbackList(),
+    focusPolicy: getFocusPolicy(),
+    autoDirector: {
+      ...getAutoDirectorConfig(),
+      suggestion: autoDirectorState.suggestion,
+    },
+    gsiSources: listGsiSources(),
+    gsiAuthority: describeGsiSources(),
+    scenes: listScenePresets().map(describeScenePreset),
+    publisherInvites: {
+      openRegistration: adminConfig.publisherInvites.openRegistration,
+      invites: listPublisherInvites(getRequestBaseUrl(req), {
+        includeTokens: hasAdminRole(req.adminAccount, "operator"),
+      }),
+    },
+    quality: buildQualitySummary(),
+    updatedAt: new Date().toISOString(),
   });
 });
 
-function ensureVisibilityShape(store) {
-  const base = store && typeof store === "object" ? { ...store } : {};
-  VISIBILITY_SECTIONS.forEach((section) => {
-    if (!base[section] || typeof base[section] !== "object") {
-      base[section] = {};
-    }
+app.get("/api/admin/cameras", requireAdminAccess, (_req, res) => {
+  res.json({
+    cameras: collectCameraSessions(),
+    forcedFallback: getForcedFallbackList(),
+    updatedAt: new Date().toISOString(),
   });
-  return base;
-}
+});
 
-function normalizeVisibilityKey(value) {
-  if (value === null || value === undefined) {
-    return null;
+app.get("/api/admin/cameras/:nickname/metrics", requireAdminAccess, (req, res) => {
+  const key = normalizeNicknameKey(req.params.nickname);
+  prunePublisherMetrics();
+  const entry = key ? publishers.get(key) : null;
+  const samples = (key && publisherMetrics.get(key)) || [];
+  if (!entry && !samples.length) {
+    res.status(404).json({ error: "No metrics for this camera" });
+    return;
   }
-  const key = String(value).trim();
-  return key ? key : null;
-}
 
-function normalizeQualityPreset(value) {
-  const preset = typeof value === "string" ? value.trim().toLowerCase() : "";
-  return ["low", "mid", "high"].includes(preset) ? preset : null;
-}
+  const since = Number(req.query.since);
+  res.json({
+    nickname: entry?.nickname || req.params.nickname,
+    key,
+    online: Boolean(entry),
+    windowMs: PUBLISHER_METRICS_WINDOW_MS,
+    latest: samples[samples.length - 1] || null,
+    samples: Number.isFinite(since) ? samples.filter((sample) => sample.timestamp > since) : samples,
+  });
+});
 
-function normalizeTransportPreset(value) {
-  const preset = typeof value === "string" ? value.trim().toLowerCase() : "";
-  return ["auto", "udp", "tcp"].includes(preset) ? preset : null;
-}
+app.get("/api/admin/me", requireAdminAccess, (req, res) => {
+  res.json({ account: describeAdminAccount(req.adminAccount) });
+});
 
-function normalizeCodecPreset(value) {
-  const preset = typeof value === "string" ? value.trim().toLowerCase() : "";
-  return ["default", "h264", "vp8"].includes(preset) ? preset : null;
-}
+app.get("/api/admin/accounts", requireAdminAccess, requireAdminRole("owner"), (_req, res) => {
+  res.json({ accounts: listAdminAccounts(), roles: ADMIN_ROLES });
+});
 
-function loadVisibilityStore() {
+app.post("/api/admin/accounts", requireAdminAccess, requireAdminRole("owner"), async (req, res) => {
+  const username = sanitizeAdminUsername(req.body?.username);
+  if (!username) {
+    res.status(400).json({ error: "Username must be 2-32 characters: a-z, 0-9, dot, dash or underscore" });
+    return;
+  }
+  if (username === adminUser.toLowerCase()) {
+    res.status(400).json({ error: "This username is reserved for the built-in owner" });
+    return;
+  }
+
+  const role = typeof req.body?.role === "string" ? req.body.role.trim().toLowerCase() : "";
+  if (!ADMIN_ROLES.includes(role)) {
+    res.status(400).json({ error: `Role must be one of: ${ADMIN_ROLES.join(", ")}` });
+    return;
+  }
+
+  const previous = adminAccounts.get(username) || null;
+  const password = typeof req.body?.password === "string" ? req.body.password : "";
+  if ((!previous || password) && password.length < ADMIN_PASSWORD_MIN_LENGTH) {
+    res.status(400).json({ error: `Password must be at least ${ADMIN_PASSWORD_MIN_LENGTH} characters` });
+    return;
+  }
+
+  const now = new Date().toISOString();
+  const account = {
+    username,
+    role,
+    passwordHash: password ? await hashAdminPassword(password) : previous.passwordHash,
+    createdAt: previous?.createdAt || now,
+    createdBy: previous?.createdBy || req.adminActor,
+    updatedAt: now,
+  };
+
+  adminAccounts.set(username, account);
   try {
-    fs.mkdirSync(ADMIN_DATA_DIR, { recursive: true });
+    await persistAdminAccounts();
   } catch (error) {
-    console.warn("Failed to prepare visibility directory", error);
+    console.error("Failed to persist admin accounts", error);
+    if (previous) {
+      adminAccounts.set(username, previous);
+    } else {
+      adminAccounts.delete(username);
+    }
+    res.status(500).json({ error: "Failed to save admin accounts" });
+    return;
   }
 
-  if (!fs.existsSync(VISIBILITY_PATH)) {
-    const initial = ensureVisibilityShape({});
-    try {
-      fs.writeFileSync(VISIBILITY_PATH, JSON.stringify(initial, null, 2));
-    } catch (error) {
-      console.warn("Failed to seed visibility store", error);
-    }
-    return initial;
+  logEvent("admin", previous ? "Admin account updated" : "Admin account created", {
+    username,
+    role,
+    passwordChanged: Boolean(previous && password),
+    admin: req.adminActor,
+    ip: req.adminClientIp,
+  });
+  res.json({ ok: true, account: describeAdminAccount(account), accounts: listAdminAccounts() });
+});
+
+app.delete("/api/admin/accounts/:username", requireAdminAccess, requireAdminRole("owner"), async (req, res) => {
+  const username = sanitizeAdminUsername(req.params.username);
+  const previous = username ? adminAccounts.get(username) : null;
+  if (!previous) {
+    res.status(404).json({ error: "Account not found" });
+    return;
+  }
+  if (username === req.adminActor) {
+    res.status(400).json({ error: "You cannot remove your own account" });
+    return;
   }
 
+  adminAccounts.delete(username);
   try {
-    const raw = fs.readFileSync(VISIBILITY_PATH, "utf-8");
-    const parsed = JSON.parse(raw);
-    return ensureVisibilityShape(parsed);
+    await persistAdminAccounts();
   } catch (error) {
-    console.warn("Failed to load visibility store", error);
-    return ensureVisibilityShape({});
+    console.error("Failed to persist admin accounts", error);
+    adminAccounts.set(username, previous);
+    res.status(500).json({ error: "Failed to save admin accounts" });
+    return;
   }
-}
 
-async function persistVisibilityStore(store) {
-  const payload = ensureVisibilityShape(store);
-  await fsPromises.mkdir(ADMIN_DATA_DIR, { recursive: true });
-  await fsPromises.writeFile(
-    VISIBILITY_PATH,
-    JSON.stringify(payload, null, 2)
-  );
-}
+  logEvent("admin", "Admin account removed", {
+    username,
+    role: previous.role,
+    admin: req.adminActor,
+    ip: req.adminClientIp,
+  });
+  res.json({ ok: true, accounts: listAdminAccounts() });
+});
 
-function mergeVisibilityDelta(target, delta) {
-  const next = ensureVisibilityShape(target);
-  let changed = false;
+app.post("/api/admin/allowed-ips", requireAdminAccess, requireAdminRole("owner"), async (req, res) => {
+  const rawIp = typeof req.body?.ip === "string" ? req.body.ip.trim() : "";
+  const normalizedIp = normalizeIp(rawIp);
+  const label = typeof req.body?.label === "string" ? req.body.label.trim() : "";
 
-  if (!delta || typeof delta !== "object") {
-    return { changed, store: next };
+  if (!normalizedIp || !isValidIp(normalizedIp)) {
+    res.status(400).json({ error: "Invalid IP address or CIDR range" });
+    return;
   }
 
-  VISIBILITY_SECTIONS.forEach((section) => {
-    const patch = delta[section];
-    if (!patch || typeof patch !== "object") {
-      return;
-    }
-
-    const bucket = next[section];
-    Object.entries(patch).forEach(([rawKey, rawValue]) => {
-      const key = normalizeVisibilityKey(rawKey);
-      if (!key) {
-        return;
-      }
+  let expiresAt = parseAllowlistExpiry(req.body?.expiresAt);
+  if (req.body?.ttlHours !== undefined && req.body?.expiresAt === undefined) {
+    const ttlHours = clampNumber(req.body.ttlHours, 0, 24 * 365, 0);
+    expiresAt = ttlHours > 0 ? new Date(Date.now() + ttlHours * 3_600_000).toISOString() : null;
+  }
+  if (expiresAt === undefined || (expiresAt && Date.parse(expiresAt) <= Date.now())) {
+    res.status(400).json({ error: "expiresAt must be a future date" });
+    return;
+  }
 
-      let normalizedValue;
-      if (section === "hidden") {
-        normalizedValue = rawValue === null ? null : Boolean(rawValue);
-      } else if (section === "quality") {
-        normalizedValue = rawValue === null ? null : normalizeQualityPreset(rawValue);
-      } else if (section === "forceTurn") {
-        normalizedValue = rawValue === null ? null : normalizeTransportPreset(rawValue);
-      } else if (section === "codec") {
-        normalizedValue = rawValue === null ? null : normalizeCodecPreset(rawValue);
-      }
+  if (adminConfig.allowedIps.some((entry) => entry.ip === normalizedIp)) {
+    res.status(409).json({ error: "IP address already allowed" });
+    return;
+  }
 
-      if (normalizedValue === undefined) {
-        return;
-      }
+  const newEntry = {
+    ip: normalizedIp,
+    label,
+    addedAt: new Date().toISOString(),
+    addedBy: req.adminActor,
+    expiresAt,
+  };
 
-      if (normalizedValue === null) {
-        if (key in bucket) {
-          delete bucket[key];
-          changed = true;
-        }
-        return;
-      }
+  adminConfig.allowedIps.push(newEntry);
+  try {
+    await persistAdminConfig();
+  } catch (error) {
+    console.error("Failed to persist admin config", error);
+    res.status(500).json({ error: "Failed to save configuration" });
+    return;
+  }
 
-      if (bucket[key] !== normalizedValue) {
-        bucket[key] = normalizedValue;
-        changed = true;
-      }
-    });
+  res.json({ ok: true, allowedIps: adminConfig.allowedIps });
+  logEvent("admin", "IP allowlisted", {
+    target: normalizedIp,
+    label,
+    expiresAt,
+    admin: req.adminActor,
+    ip: req.adminClientIp,
   });
+});
 
-  return { changed, store: next };
-}
+app.delete("/api/admin/allowed-ips/:ip", requireAdminAccess, requireAdminRole("owner"), async (req, res) => {
+  const normalizedIp = normalizeIp(req.params?.ip);
 
-let visibilityStore = loadVisibilityStore();
+  if (!normalizedIp || !isValidIp(normalizedIp)) {
+    res.status(400).json({ error: "Invalid IP address or CIDR range" });
+    return;
+  }
 
-function coerceVisibilityDelta(payload) {
-  if (!payload || typeof payload !== "object") {
-    return {};
+  if (normalizedIp === OWNER_IP) {
+    res.status(400).json({ error: "Primary owner IP cannot be removed" });
+    return;
   }
 
-  if (Object.prototype.hasOwnProperty.call(payload, "id")) {
-    const key = normalizeVisibilityKey(payload.id);
-    if (!key) {
-      return {};
-    }
-    if (Object.prototype.hasOwnProperty.call(payload, "visible")) {
-      const visible = Boolean(payload.visible);
-      return {
-        hidden: {
-          [key]: visible ? null : true,
-        },
-      };
-    }
+  const index = adminConfig.allowedIps.findIndex(
+    (entry) => entry.ip === normalizedIp
+  );
+  if (index === -1) {
+    res.status(404).json({ error: "IP address not found" });
+    return;
   }
 
-  const delta = {};
-  VISIBILITY_SECTIONS.forEach((section) => {
-    if (payload[section] && typeof payload[section] === "object") {
-      delta[section] = payload[section];
-    }
+  adminConfig.allowedIps.splice(index, 1);
+
+  try {
+    await persistAdminConfig();
+  } catch (error) {
+    console.error("Failed to persist admin config", error);
+    res.status(500).json({ error: "Failed to save configuration" });
+    return;
+  }
+
+  res.json({ ok: true, allowedIps: adminConfig.allowedIps });
+  logEvent("admin", "IP removed from allowlist", {
+    target: normalizedIp,
+    admin: req.adminActor,
+    ip: req.adminClientIp,
   });
-  return delta;
-}
+});
 
-function broadcastVisibilityState() {
-  broadcast({
-    type: "VISIBILITY_STATE",
-    state: visibilityStore,
+app.get("/api/admin/gsi/sources", requireAdminAccess, (_req, res) => {
+  res.json({ sources: listGsiSources() });
+});
+
+app.post("/api/admin/gsi/sources", requireAdminAccess, async (req, res) => {
+  ensureGsiConfigShape(adminConfig);
+  const label = typeof req.body?.label === "string" ? req.body.label.trim().slice(0, 64) : "";
+
+  const source = {
+    id: generateGsiSourceId(),
+    label,
+    token: generateGsiToken(),
+    createdAt: new Date().toISOString(),
+    createdBy: req.adminActor,
+  };
+
+  adminConfig.gsi.sources.push(source);
+  try {
+    await persistAdminConfig();
+  } catch (error) {
+    console.error("Failed to persist GSI source", error);
+    adminConfig.gsi.sources = adminConfig.gsi.sources.filter((entry) => entry.id !== source.id);
+    res.status(500).json({ error: "Failed to save configuration" });
+    return;
+  }
+
+  logEvent("admin", "GSI source created", {
+    sourceId: source.id,
+    label,
+    admin: req.adminActor,
+    ip: req.adminClientIp,
+  });
+  res.json({ ok: true, source: { ...source }, sources: listGsiSources() });
+});
+
+app.delete("/api/admin/gsi/sources/:id", requireAdminAccess, async (req, res) => {
+  ensureGsiConfigShape(adminConfig);
+  const id = typeof req.params?.id === "string" ? req.params.id.trim() : "";
+  const index = adminConfig.gsi.sources.findIndex((entry) => entry.id === id);
+  if (index === -1) {
+    res.status(404).json({ error: "GSI source not found" });
+    return;
+  }
+
+  const [removed] = adminConfig.gsi.sources.splice(index, 1);
+  const wasPrimary = adminConfig.gsi.primarySourceId === removed.id;
+  if (wasPrimary) {
+    adminConfig.gsi.primarySourceId = null;
+  }
+  try {
+    await persistAdminConfig();
+  } catch (error) {
+    console.error("Failed to persist admin config", error);
+    adminConfig.gsi.sources.splice(index, 0, removed);
+    if (wasPrimary) {
+      adminConfig.gsi.primarySourceId = removed.id;
+    }
+    res.status(500).json({ error: "Failed to save configuration" });
+    return;
+  }
+
+  gsiSources.delete(removed.id);
+  if (activeGsiSourceId === removed.id) {
+    activeGsiSourceId = null;
+  }
+  updateAuthoritativeGsiSource();
+
+  logEvent("admin", "GSI source revoked", {
+    sourceId: removed.id,
+    label: removed.label,
+    admin: req.adminActor,
+    ip: req.adminClientIp,
   });
-}
+  res.json({ ok: true, sources: listGsiSources() });
+});
 
-function broadcastLegacyVisibilityDelta(delta) {
-  if (!delta || typeof delta !== "object") {
+app.post("/api/admin/gsi/primary", requireAdminAccess, async (req, res) => {
+  ensureGsiConfigShape(adminConfig);
+  const requestedId = typeof req.body?.sourceId === "string" ? req.body.sourceId.trim() : "";
+  const known =
+    !requestedId ||
+    gsiSources.has(requestedId) ||
+    adminConfig.gsi.sources.some((source) => source.id === requestedId);
+
+  if (!known) {
+    res.status(404).json({ error: "GSI source not found" });
     return;
   }
 
-  const hiddenPatch = delta.hidden;
-  if (!hiddenPatch || typeof hiddenPatch !== "object") {
-    return;
+  const previous = {
+    primarySourceId: adminConfig.gsi.primarySourceId,
+    failoverSeconds: adminConfig.gsi.failoverSeconds,
+  };
+  adminConfig.gsi.primarySourceId = requestedId || null;
+  if (req.body?.failoverSeconds !== undefined) {
+    adminConfig.gsi.failoverSeconds = Math.round(
+      clampNumber(req.body.failoverSeconds, 2, 300, adminConfig.gsi.failoverSeconds)
+    );
   }
 
-  Object.entries(hiddenPatch).forEach(([rawKey, rawValue]) => {
-    const key = normalizeVisibilityKey(rawKey);
-    if (!key) {
-      return;
-    }
+  try {
+    await persistAdminConfig();
+  } catch (error) {
+    console.error("Failed to persist GSI primary source", error);
+    Object.assign(adminConfig.gsi, previous);
+    res.status(500).json({ error: "Failed to save configuration" });
+    return;
+  }
 
-    const visible = rawValue === null ? true : !Boolean(rawValue);
-    broadcast({
-      type: "visibility.update",
-      id: key,
-      visible,
-    });
+  logEvent("admin", "GSI primary source updated", {
+    sourceId: adminConfig.gsi.primarySourceId,
+    failoverSeconds: adminConfig.gsi.failoverSeconds,
+    admin: req.adminActor,
+    ip: req.adminClientIp,
   });
-}
-
-app.get("/api/visibility", requireAdminAccess, (_req, res) => {
-  res.json({ ok: true, state: visibilityStore });
+  updateAuthoritativeGsiSource();
+  res.json({ ok: true, ...describeGsiSources() });
 });
 
-app.post("/api/visibility", requireAdminAccess, async (req, res) => {
-  const delta = coerceVisibilityDelta(req.body);
-  const { changed, store } = mergeVisibilityDelta(visibilityStore, delta);
-  visibilityStore = store;
-
-  if (changed) {
-    try {
-      await persistVisibilityStore(visibilityStore);
-    } catch (error) {
-      console.warn("Failed to persist visibility store", error);
-    }
-    broadcastVisibilityState();
-    broadcastLegacyVisibilityDelta(delta);
+app.get("/api/admin/gsi/sources/:id/cfg", requireAdminAccess, requireAdminRole("operator"), (req, res) => {
+  const id = typeof req.params?.id === "string" ? req.params.id.trim() : "";
+  const source = (adminConfig.gsi?.sources || []).find((entry) => entry.id === id);
+  if (!source) {
+    res.status(404).json({ error: "GSI source not found" });
+    return;
   }
 
-  res.json({ ok: true, state: visibilityStore, changed });
+  const uri = `${getRequestBaseUrl(req)}/api/gsi`;
+  const slug = (source.label || source.id).toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "") || source.id;
+  res.set("Content-Type", "text/plain; charset=utf-8");
+  res.set("Content-Disposition", `attachment; filename="gamestate_integration_bikecam_${slug}.cfg"`);
+  res.send(buildGsiConfigFile(source, uri));
 });
 
-function writeMjpegFrame(res, frame) {
-  if (!res || res.writableEnded || !frame?.buffer) {
+function getRequestBaseUrl(req) {
+  return `${req.protocol}://${req.get("host")}`;
+}
+
+app.get("/api/admin/invites", requireAdminAccess, (req, res) => {
+  res.json({
+    openRegistration: adminConfig.publisherInvites.openRegistration,
+    invites: listPublisherInvites(getRequestBaseUrl(req), {
+      includeTokens: hasAdminRole(req.adminAccount, "operator"),
+    }),
+  });
+});
+
+app.post("/api/admin/invites", requireAdminAccess, async (req, res) => {
+  const nickname = sanitizeNickname(req.body?.nickname);
+  if (!nickname || !normalizeNicknameKey(nickname)) {
+    res.status(400).json({ error: "nickname is required" });
+    return;
+  }
+
+  const rawSteamId = typeof req.body?.steamId === "string" ? req.body.steamId.trim() : "";
+  const steamId = normalizeSteamId(rawSteamId);
+  if (rawSteamId && !steamId) {
+    res.status(400).json({ error: "Invalid SteamID" });
     return;
   }
 
+  const ttlHours = clampNumber(req.body?.ttlHours, 1, PUBLISHER_INVITE_MAX_TTL_HOURS, PUBLISHER_INVITE_DEFAULT_TTL_HOURS);
+  const invite = {
+    id: generatePublisherInviteId(),
+    nickname,
+    steamId,
+    label: typeof req.body?.label === "string" ? req.body.label.trim().slice(0, 64) : "",
+    expiresAt: new Date(Date.now() + ttlHours * 3_600_000).toISOString(),
+    createdAt: new Date().toISOString(),
+    createdBy: req.adminActor,
+  };
+
+  adminConfig.publisherInvites.invites.push(invite);
   try {
-    res.write(`--${MJPEG_BOUNDARY}\r\n`);
-    res.write(`Content-Type: ${frame.mimeType || "image/jpeg"}\r\n`);
-    res.write(`Content-Length: ${frame.buffer.length}\r\n\r\n`);
-    res.write(frame.buffer);
-    res.write("\r\n");
+    await persistAdminConfig();
   } catch (error) {
-    try {
-      res.end();
-    } catch (endError) {
-      // ignore ending errors
-    }
+    console.error("Failed to persist publisher invite", error);
+    adminConfig.publisherInvites.invites = adminConfig.publisherInvites.invites.filter((entry) => entry.id !== invite.id);
+    res.status(500).json({ error: "Failed to save configuration" });
+    return;
   }
-}
 
-function broadcastFallbackFrame(nickname, record) {
-  const key = normalizeNicknameKey(nickname);
-  if (!key || !record) {
+  logEvent("admin", "Publisher invite created", {
+    inviteId: invite.id,
+    nickname,
+    steamId,
+    expiresAt: invite.expiresAt,
+    admin: req.adminActor,
+    ip: req.adminClientIp,
+  });
+  const invites = listPublisherInvites(getRequestBaseUrl(req));
+  res.json({
+    ok: true,
+    invite: invites.find((entry) => entry.id === invite.id),
+    invites,
+  });
+});
+
+app.delete("/api/admin/invites/:id", requireAdminAccess, async (req, res) => {
+  const id = typeof req.params?.id === "string" ? req.params.id.trim() : "";
+  const index = adminConfig.publisherInvites.invites.findIndex((entry) => entry.id === id);
+  if (index === -1) {
+    res.status(404).json({ error: "Invite not found" });
     return;
   }
 
-  const clients = fallbackClients.get(key);
-  if (!clients || clients.size === 0) {
+  const [removed] = adminConfig.publisherInvites.invites.splice(index, 1);
+  try {
+    await persistAdminConfig();
+  } catch (error) {
+    console.error("Failed to persist admin config", error);
+    adminConfig.publisherInvites.invites.splice(index, 0, removed);
+    res.status(500).json({ error: "Failed to save configuration" });
     return;
   }
 
-  for (const res of Array.from(clients)) {
-    if (!res || res.writableEnded) {
-      clients.delete(res);
-      continue;
+  const disconnected = [];
+  if (!adminConfig.publisherInvites.openRegistration) {
+    for (const entry of [...publishers.values()]) {
+      if (entry.inviteId !== removed.id) {
+        continue;
+      }
+      sendJson(entry.socket, { type: "ERROR", message: "Your invite link was revoked.", reason: "invite revoked" });
+      detachPublisher(entry.nickname, entry.socket);
+      disconnected.push(entry.nickname);
     }
-    writeMjpegFrame(res, record);
   }
 
-  if (clients.size === 0) {
-    fallbackClients.delete(key);
+  logEvent("admin", "Publisher invite revoked", {
+    inviteId: removed.id,
+    nickname: removed.nickname,
+    disconnected,
+    admin: req.adminActor,
+    ip: req.adminClientIp,
+  });
+  res.json({ ok: true, disconnected, invites: listPublisherInvites(getRequestBaseUrl(req)) });
+});
+
+app.post("/api/admin/invites/settings", requireAdminAccess, async (req, res) => {
+  if (typeof req.body?.openRegistration !== "boolean") {
+    res.status(400).json({ error: "openRegistration must be a boolean" });
+    return;
   }
-}
 
-function clearFallbackForNickname(nickname) {
-  const key = normalizeNicknameKey(nickname);
-  if (!key) {
+  const previous = adminConfig.publisherInvites.openRegistration;
+  adminConfig.publisherInvites.openRegistration = req.body.openRegistration;
+  try {
+    await persistAdminConfig();
+  } catch (error) {
+    console.error("Failed to persist invite settings", error);
+    adminConfig.publisherInvites.openRegistration = previous;
+    res.status(500).json({ error: "Failed to save configuration" });
     return;
   }
 
-  fallbackFrames.delete(key);
+  logEvent("admin", "Open registration updated", {
+    openRegistration: adminConfig.publisherInvites.openRegistration,
+    admin: req.adminActor,
+    ip: req.adminClientIp,
+  });
+  res.json({ ok: true, openRegistration: adminConfig.publisherInvites.openRegistration });
+});
 
-  const clients = fallbackClients.get(key);
-  if (!clients) {
+app.post("/api/admin/socket-token", requireAdminAccess, (req, res) => {
+  const requestedRole = typeof req.body?.role === "string" ? req.body.role.trim().toLowerCase() : "admin";
+  const role = SOCKET_ROLE_ALIASES[requestedRole] || requestedRole;
+  if (!PRIVILEGED_SOCKET_ROLES.has(role)) {
+    res.status(400).json({ error: "Unknown socket role" });
     return;
   }
 
-  for (const res of clients) {
-    try {
-      res.end();
-    } catch (error) {
-      // ignore client end errors
-    }
+  res.json(issueAdminSocketToken(role, req.adminActor));
+});
+
+app.post("/api/admin/kick", requireAdminAccess, (req, res) => {
+  const nickname =
+    typeof req.body?.nickname === "string" ? req.body.nickname.trim() : "";
+  if (!nickname) {
+    res.status(400).json({ error: "nickname is required" });
+    return;
   }
 
-  fallbackClients.delete(key);
-}
+  const { entry } = getPublisherByNickname(nickname);
+  if (!entry) {
+    res.status(404).json({ error: "No active camera with that nickname" });
+    return;
+  }
 
-function sanitizeNickname(value) {
-  if (typeof value !== "string") {
-    return null;
+  detachPublisher(entry.nickname, entry.socket);
+  logEvent("admin", "Publisher kicked", {
+    nickname: entry.nickname,
+    admin: req.adminActor,
+    ip: req.adminClientIp,
+  });
+  res.json({ ok: true, nickname: entry.nickname });
+});
+
+app.post("/api/admin/reconnect", requireAdminAccess, (req, res) => {
+  const nicknameRaw = typeof req.body?.nickname === "string" ? req.body.nickname.trim() : "";
+  if (!nicknameRaw) {
+    res.status(400).json({ error: "nickname is required" });
+    return;
   }
 
-  const trimmed = value.trim();
-  if (!trimmed) {
-    return null;
+  const { entry } = getPublisherByNickname(nicknameRaw);
+  if (!entry) {
+    res.status(404).json({ error: "No active camera with that nickname" });
+    return;
   }
 
-  return trimmed.replace(/\s+/g, " ");
-}
+  sendJson(entry.socket, {
+    type: "ADMIN_RECONNECT",
+    nickname: entry.nickname,
+  });
 
-function normalizeNicknameKey(value) {
-  const sanitized = sanitizeNickname(value);
-  if (!sanitized) {
-    return "";
-  }
+  detachPublisher(entry.nickname, entry.socket);
+  logEvent("admin", "Publisher reconnect requested", {
+    nickname: entry.nickname,
+    admin: req.adminActor,
+    ip: req.adminClientIp,
+  });
+  res.json({ ok: true, nickname: entry.nickname });
+});
 
-  return sanitized.replace(/\s+/g, "").toLowerCase();
-}
+app.post("/api/admin/fallback", requireAdminAccess, (req, res) => {
+  const nickname = sanitizeNickname(req.body?.nickname);
+  const key = normalizeNicknameKey(nickname);
+  const mode =
+    typeof req.body?.mode === "string" ? req.body.mode.trim().toLowerCase() : "";
 
-function sendJson(target, payload) {
-  if (!target || target.readyState !== WebSocket.OPEN) {
+  if (!key || !nickname) {
+    res.status(400).json({ error: "nickname is required" });
     return;
   }
-  target.send(JSON.stringify(payload));
-}
 
-function broadcast(payload) {
-  const message = JSON.stringify(payload);
-  for (const client of clients) {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(message);
-    }
+  const enable = mode === "mjpeg" || mode === "fallback" || mode === "force";
+
+  if (enable) {
+    forcedFallback.set(key, nickname);
+  } else {
+    forcedFallback.delete(key);
   }
-}
 
-function broadcastState() {
-  broadcast({
-    type: "STATE_UPDATE",
-    currentFocus: gsiState.currentFocus,
+  broadcastForcedFallback();
+  logEvent("fallback", enable ? "Forced MJPEG enabled" : "Forced MJPEG cleared", {
+    nickname,
+    admin: req.adminActor,
+    ip: req.adminClientIp,
   });
-}
+  res.json({ ok: true, forcedFallback: getForcedFallbackList() });
+});
 
-function getActivePublishers() {
-  return Array.from(publishers.values())
-    .map((entry) => entry.nickname)
-    .sort((a, b) => a.localeCompare(b));
-}
+app.get("/api/admin/quality", requireAdminAccess, (_req, res) => {
+  ensureQualityConfigShape(adminConfig);
+  const quality = adminConfig.quality;
 
-function broadcastPublisherList() {
-  broadcast({
-    type: "ACTIVE_PUBLISHERS",
-    publishers: getActivePublishers(),
+  const overrides = Object.entries(quality.cameraOverrides || {}).map(
+    ([key, value]) => ({
+      key,
+      nickname: value.nickname,
+      profile: value.profile,
+      params: resolveQualityProfile(
+        value.profile,
+        value.profile === "CUSTOM" ? value.custom : quality.defaultCustom
+      ),
+    })
+  );
+
+  res.json({
+    availableProfiles: {
+      LOW: { ...QUALITY_PROFILES.LOW },
+      MED: { ...QUALITY_PROFILES.MED },
+      HIGH: { ...QUALITY_PROFILES.HIGH },
+      CUSTOM: resolveQualityProfile("CUSTOM", quality.defaultCustom),
+    },
+    default: {
+      profile: quality.defaultProfile,
+      params: resolveQualityProfile(quality.defaultProfile, quality.defaultCustom),
+      custom: quality.defaultCustom,
+    },
+    overrides,
   });
-}
+});
 
-function dropViewerEntry(nickname, viewerSocketId, connectionId) {
-  if (!nickname) {
-    return;
-  }
+app.post("/api/admin/quality/default", requireAdminAccess, async (req, res) => {
+  ensureQualityConfigShape(adminConfig);
+  const quality = adminConfig.quality;
 
-  const { entry } = getPublisherByNickname(nickname);
-  if (!entry) {
+  const profileName = normalizeProfileName(req.body?.profile);
+  if (!profileName) {
+    res.status(400).json({ error: "Unknown profile" });
     return;
   }
 
-  const viewerSet = entry.viewers.get(viewerSocketId);
-  if (!viewerSet) {
-    return;
+  if (req.body?.custom) {
+    quality.defaultCustom = sanitizeQualityParams(req.body.custom, quality.defaultCustom);
   }
 
-  viewerSet.delete(connectionId);
-  if (viewerSet.size === 0) {
-    entry.viewers.delete(viewerSocketId);
+  if (profileName === "CUSTOM") {
+    quality.defaultCustom = sanitizeQualityParams(req.body?.custom, quality.defaultCustom);
   }
-}
 
-function detachPublisher(nickname, socket) {
-  if (!nickname) {
+  quality.defaultProfile = profileName;
+
+  try {
+    await persistAdminConfig();
+  } catch (error) {
+    console.error("Failed to persist quality default", error);
+    res.status(500).json({ error: "Failed to save configuration" });
     return;
   }
 
-  const { key, entry } = getPublisherByNickname(nickname);
-  if (!entry) {
-    return;
+  for (const entry of publishers.values()) {
+    if (!quality.cameraOverrides[entry.key]) {
+      sendQualityProfileUpdate(entry);
+    }
   }
+  sendAdminUpdate("quality", { quality: buildQualitySummary() });
+  queueAllAdminCameraUpdates();
 
-  if (socket && entry.socket !== socket) {
+  logEvent("admin", "Default quality profile updated", {
+    profile: profileName,
+    admin: req.adminActor,
+    ip: req.adminClientIp,
+  });
+
+  res.json({
+    ok: true,
+    default: {
+      profile: quality.defaultProfile,
+      params: resolveQualityProfile(quality.defaultProfile, quality.defaultCustom),
+      custom: quality.defaultCustom,
+    },
+  });
+});
+
+app.post("/api/admin/quality/camera", requireAdminAccess, async (req, res) => {
+  ensureQualityConfigShape(adminConfig);
+  const quality = adminConfig.quality;
+
+  const nickname = sanitizeNickname(req.body?.nickname);
+  const key = normalizeNicknameKey(nickname);
+  if (!key || !nickname) {
+    res.status(400).json({ error: "nickname is required" });
     return;
   }
 
-  publishers.delete(key);
-  logEvent("publisher", "Publisher detached", { nickname: entry.nickname });
+  const requestedProfileRaw = typeof req.body?.profile === "string" ? req.body.profile.trim() : "";
+  const requestedProfile = normalizeProfileName(requestedProfileRaw);
+  const removeOverride =
+    !requestedProfile || requestedProfileRaw.toLowerCase() === "inherit" || req.body?.remove === true;
 
-  for (const [viewerSocketId, connectionIds] of entry.viewers.entries()) {
-    const viewerSocket = socketById.get(viewerSocketId);
-    if (!viewerSocket) {
-      continue;
+  if (removeOverride) {
+    const existed = Boolean(quality.cameraOverrides[key]);
+    delete quality.cameraOverrides[key];
+
+    try {
+      await persistAdminConfig();
+    } catch (error) {
+      console.error("Failed to persist quality override removal", error);
+      res.status(500).json({ error: "Failed to save configuration" });
+      return;
     }
 
-    for (const connectionId of connectionIds) {
-      sendJson(viewerSocket, {
-        type: "STREAM_ENDED",
-        nickname: entry.nickname,
-        connectionId,
+    notifyQualityProfileForKey(key);
+    if (existed) {
+      logEvent("admin", "Camera quality override cleared", {
+        nickname,
+        admin: req.adminActor,
+        ip: req.adminClientIp,
       });
-
-      const viewerMeta = socketMeta.get(viewerSocket);
-      if (viewerMeta) {
-        viewerMeta.subscriptions.delete(connectionId);
-      }
     }
-  }
 
-  if (
-    typeof gsiState.currentFocus === "string" &&
-    normalizeNicknameKey(gsiState.currentFocus) === key
-  ) {
-    gsiState.currentFocus = null;
-    broadcastState();
-    logEvent("focus", "Focus cleared because publisher detached", {
-      nickname: entry.nickname,
-    });
+    res.json({ ok: true, override: null });
+    return;
   }
 
-  clearFallbackForNickname(entry.nickname);
-  broadcastPublisherList();
-}
-
-function stopViewerSubscription(
-  meta,
-  nickname,
-  connectionId,
-  notifyPublisher = true
-) {
-  if (!meta || !connectionId) {
+  if (!requestedProfile) {
+    res.status(400).json({ error: "Unknown profile" });
     return;
   }
 
-  if (meta.subscriptions.has(connectionId)) {
-    meta.subscriptions.delete(connectionId);
+  const override = {
+    profile: requestedProfile,
+    nickname,
+  };
+
+  if (requestedProfile === "CUSTOM") {
+    override.custom = sanitizeQualityParams(req.body?.custom, quality.defaultCustom);
   }
 
-  dropViewerEntry(nickname, meta.id, connectionId);
+  quality.cameraOverrides[key] = override;
 
-  if (!notifyPublisher) {
+  try {
+    await persistAdminConfig();
+  } catch (error) {
+    console.error("Failed to persist quality override", error);
+    res.status(500).json({ error: "Failed to save configuration" });
     return;
   }
 
-  const { entry } = getPublisherByNickname(nickname);
-  if (!entry) {
-    return;
-  }
+  notifyQualityProfileForKey(key);
+  logEvent("admin", "Camera quality override updated", {
+    nickname,
+    profile: requestedProfile,
+    admin: req.adminActor,
+    ip: req.adminClientIp,
+  });
 
-  sendJson(entry.socket, {
-    type: "VIEWER_DISCONNECTED",
-    viewerSocketId: meta.id,
-    connectionId,
-    nickname: entry.nickname,
+  res.json({
+    ok: true,
+    override: {
+      key,
+      nickname,
+      profile: override.profile,
+      params: resolveQualityProfile(
+        override.profile,
+        override.profile === "CUSTOM" ? override.custom : quality.defaultCustom
+      ),
+    },
   });
+});
+
+function sanitizeSceneName(value) {
+  if (typeof value !== "string") {
+    return null;
+  }
+  const name = value.replace(/\s+/g, " ").trim().slice(0, 64);
+  return name || null;
 }
 
-app.post("/api/gsi", (req, res) => {
-  const data = req.body || {};
-  latestGSI = data;
-  const previousFocus = gsiState.currentFocus;
+function buildSceneId(name) {
+  const id = (name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 48);
+  return SCENE_ID_REGEX.test(id) ? id : null;
+}
 
-  if (data.allplayers && typeof data.allplayers === "object") {
-    const updatedPlayers = {};
+function sanitizeSceneState(source) {
+  const input = source && typeof source === "object" ? source : {};
+  const visibility = mergeVisibilityDelta(ensureVisibilityShape({}), input.visibility).store;
+  const qualityOverrides = ensureQualityConfigShape({
+    quality: {
+      cameraOverrides: input.qualityOverrides,
+      defaultCustom: adminConfig.quality?.defaultCustom,
+    },
+  }).cameraOverrides;
 
-    for (const [steamId, player] of Object.entries(data.allplayers)) {
-      if (!player) {
-        continue;
-      }
+  const fallbackList = Array.isArray(input.forcedFallback) ? input.forcedFallback : [];
+  const fallback = new Map();
+  for (const item of fallbackList) {
+    const nickname = sanitizeNickname(item);
+    const key = normalizeNicknameKey(nickname);
+    if (key) {
+      fallback.set(key, nickname);
+    }
+  }
 
-      const primarySteamId = normalizeSteamId(player.steamid ?? steamId) ?? normalizeSteamId(steamId) ?? String(steamId);
-      const name = typeof player.name === "string" ? player.name.trim() : "";
-      const observerSlotRaw = Number(player.observer_slot);
-      const observerSlot = Number.isFinite(observerSlotRaw) && observerSlotRaw > 0 ? observerSlotRaw : null;
-      const health = Number(player.state?.health ?? 0);
+  return {
+    visibility,
+    qualityOverrides,
+    forcedFallback: Array.from(fallback.values()).sort((a, b) => a.localeCompare(b)),
+    focus: sanitizeNickname(input.focus) || null,
+  };
+}
 
-      updatedPlayers[primarySteamId] = {
-        steamId: primarySteamId,
-        rawSteamId: typeof player.steamid === "string" ? player.steamid : String(steamId),
-        name,
-        team: typeof player.team === "string" ? player.team : "",
-        health: Number.isFinite(health) ? health : 0,
-        observer_slot: observerSlot,
-        observer_slot_raw: player.observer_slot ?? null,
-      };
+function captureSceneState() {
+  return sanitizeSceneState({
+    visibility: visibilityStore,
+    qualityOverrides: adminConfig.quality?.cameraOverrides,
+    forcedFallback: getForcedFallbackList(),
+    focus: gsiState.currentFocus,
+  });
+}
+
+function loadScenePresets() {
+  const presets = new Map();
+  if (!fs.existsSync(SCENE_PRESETS_PATH)) {
+    return presets;
+  }
 
-      if (name) {
-        updatedPlayers[primarySteamId].nameLower = name.toLowerCase();
+  try {
+    const parsed = JSON.parse(fs.readFileSync(SCENE_PRESETS_PATH, "utf-8"));
+    const list = Array.isArray(parsed?.presets) ? parsed.presets : [];
+    for (const item of list) {
+      const id = typeof item?.id === "string" && SCENE_ID_REGEX.test(item.id) ? item.id : null;
+      const name = sanitizeSceneName(item?.name);
+      if (!id || !name) {
+        continue;
       }
+      presets.set(id, {
+        id,
+        name,
+        ...sanitizeSceneState(item),
+        createdAt: item.createdAt || null,
+        createdBy: item.createdBy || null,
+        updatedAt: item.updatedAt || null,
+        updatedBy: item.updatedBy || null,
+      });
     }
-
-    gsiState.players = updatedPlayers;
-    rebuildPlayerDirectory(gsiState.players);
+  } catch (error) {
+    console.warn("Failed to load scene presets", error);
   }
+  return presets;
+}
 
-  if (data.player && typeof data.player === "object") {
-    const spectargetRaw =
-      data.player.spectarget ?? data.player?.state?.spectarget ?? null;
+async function persistScenePresets() {
+  await writeDataFile(SCENE_PRESETS_PATH, { presets: listScenePresets() });
+}
 
-    const pickName = (info) => {
-      if (!info) {
-        return null;
-      }
-      const value = typeof info.name === "string" ? info.name.trim() : "";
-      return value || null;
-    };
+let scenePresets = loadScenePresets();
 
-    let focusName = null;
+function listScenePresets() {
+  return Array.from(scenePresets.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
 
-    if (
-      spectargetRaw !== null &&
-      spectargetRaw !== undefined &&
-      !(typeof spectargetRaw === "string" && !spectargetRaw.trim())
-    ) {
-      const targetMeta = parseSpectatorTarget(spectargetRaw);
+function describeScenePreset(preset) {
+  const hidden = Object.keys(preset.visibility.hidden || {}).length;
+  return {
+    id: preset.id,
+    name: preset.name,
+    focus: preset.focus,
+    hiddenCount: hidden,
+    qualityOverrideCount: Object.keys(preset.qualityOverrides).length,
+    forcedFallback: preset.forcedFallback,
+    createdAt: preset.createdAt,
+    createdBy: preset.createdBy,
+    updatedAt: preset.updatedAt,
+    updatedBy: preset.updatedBy,
+  };
+}
 
-      if (targetMeta.steamId) {
-        focusName = pickName(gsiState.players[targetMeta.steamId]);
-        if (!focusName && data.allplayers && typeof data.allplayers === "object") {
-          focusName = pickName(data.allplayers[targetMeta.steamId]);
-        }
-      }
+function diffScenePreset(preset) {
+  const current = captureSceneState();
+  const visibility = {};
+  let changes = 0;
 
-      if (!focusName && Number.isFinite(targetMeta.slot) && targetMeta.slot > 0) {
-        const bucket = playerDirectory.byObserverSlot.get(targetMeta.slot);
-        if (Array.isArray(bucket)) {
-          for (const info of bucket) {
-            focusName = pickName(info);
-            if (focusName) {
-              break;
-            }
-          }
-        }
+  VISIBILITY_SECTIONS.forEach((section) => {
+    const from = current.visibility[section] || {};
+    const to = preset.visibility[section] || {};
+    const keys = new Set([...Object.keys(from), ...Object.keys(to)]);
+    const entries = [];
+    for (const key of keys) {
+      const before = from[key] ?? null;
+      const after = to[key] ?? null;
+      if (before !== after) {
+        entries.push({ key, current: before, preset: after });
       }
+    }
+    if (entries.length) {
+      visibility[section] = entries.sort((a, b) => a.key.localeCompare(b.key));
+      changes += entries.length;
+    }
+  });
 
-      if (!focusName && targetMeta.nameLower) {
-        focusName = pickName(playerDirectory.byNameLower.get(targetMeta.nameLower));
-      }
+  const quality = [];
+  const qualityKeys = new Set([...Object.keys(current.qualityOverrides), ...Object.keys(preset.qualityOverrides)]);
+  for (const key of qualityKeys) {
+    const before = current.qualityOverrides[key] || null;
+    const after = preset.qualityOverrides[key] || null;
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      quality.push({
+        key,
+        nickname: after?.nickname || before?.nickname || key,
+        current: before?.profile || null,
+        preset: after?.profile || null,
+      });
+    }
+  }
+  quality.sort((a, b) => a.key.localeCompare(b.key));
+  changes += quality.length;
 
-      if (!focusName && data.allplayers && typeof data.allplayers === "object") {
-        const directKey = String(spectargetRaw);
-        focusName = pickName(data.allplayers[directKey]);
-      }
+  const currentFallback = new Set(current.forcedFallback.map(normalizeNicknameKey));
+  const presetFallback = new Set(preset.forcedFallback.map(normalizeNicknameKey));
+  const forcedFallbackDiff = {
+    add: preset.forcedFallback.filter((nickname) => !currentFallback.has(normalizeNicknameKey(nickname))),
+    remove: current.forcedFallback.filter((nickname) => !presetFallback.has(normalizeNicknameKey(nickname))),
+  };
+  changes += forcedFallbackDiff.add.length + forcedFallbackDiff.remove.length;
 
-      if (!focusName && targetMeta.name) {
-        focusName = targetMeta.name.trim();
-      }
-    }
+  const focusChanges = Boolean(preset.focus) && preset.focus !== current.focus;
+  if (focusChanges) {
+    changes += 1;
+  }
 
-    if (!focusName) {
-      const directName = pickName(data.player);
-      if (directName) {
-        focusName = directName;
-      }
-    }
+  return {
+    changed: changes > 0,
+    changes,
+    visibility,
+    quality,
+    forcedFallback: forcedFallbackDiff,
+    focus: focusChanges ? { current: current.focus, preset: preset.focus } : null,
+  };
+}
 
-    if (!focusName) {
-      const observerSlot = Number(data.player?.observer_slot ?? data.player?.state?.observer_slot);
-      if (Number.isFinite(observerSlot) && observerSlot > 0) {
-        const bucket = playerDirectory.byObserverSlot.get(observerSlot);
-        if (Array.isArray(bucket)) {
-          for (const info of bucket) {
-            focusName = pickName(info);
-            if (focusName) {
-              break;
-            }
-          }
-        }
-      }
-    }
+// Everything is persisted before any in-memory state changes, so a failed write leaves the live scene untouched.
+async function applyScenePreset(preset, actor) {
+  ensureQualityConfigShape(adminConfig);
+  const quality = adminConfig.quality;
+  const previousOverrides = quality.cameraOverrides;
+  const previousEffective = new Map(
+    Array.from(publishers.keys(), (key) => [key, JSON.stringify(getEffectiveQualityForKey(key))])
+  );
+  const nextVisibility = structuredClone(preset.visibility);
 
-    if (!focusName) {
-      const steamId = normalizeSteamId(data.player?.steamid);
-      if (steamId) {
-        focusName = pickName(gsiState.players[steamId] || data.allplayers?.[steamId]);
-      }
-    }
+  quality.cameraOverrides = structuredClone(preset.qualityOverrides);
+  try {
+    await persistAdminConfig();
+  } catch (error) {
+    quality.cameraOverrides = previousOverrides;
+    throw error;
+  }
 
-    gsiState.currentFocus = focusName || null;
-  } else {
-    gsiState.currentFocus = null;
+  try {
+    await persistVisibilityStore(nextVisibility);
+  } catch (error) {
+    quality.cameraOverrides = previousOverrides;
+    await persistAdminConfig().catch((rollbackError) => {
+      console.error("Failed to roll back quality overrides", rollbackError);
+    });
+    throw error;
   }
 
-  if (data.map && typeof data.map === "object") {
-    const mapInfo = data.map;
-    if (mapInfo.team_ct && typeof mapInfo.team_ct === "object") {
-      const ctName = mapInfo.team_ct.name;
-      if (typeof ctName === "string" && ctName.trim()) {
-        gsiState.teamNames.CT = ctName.trim();
-      }
-    }
+  visibilityStore = ensureVisibilityShape(nextVisibility);
 
-    if (mapInfo.team_t && typeof mapInfo.team_t === "object") {
-      const tName = mapInfo.team_t.name;
-      if (typeof tName === "string" && tName.trim()) {
-        gsiState.teamNames.T = tName.trim();
-      }
+  forcedFallback.clear();
+  for (const nickname of preset.forcedFallback) {
+    forcedFallback.set(normalizeNicknameKey(nickname), nickname);
+  }
+
+  if (preset.focus && preset.focus !== gsiState.currentFocus) {
+    if (focusLock) {
+      focusLock.nickname = preset.focus;
     }
+    commitFocus(preset.focus);
   }
 
-  broadcastState();
-  if (previousFocus !== gsiState.currentFocus) {
-    logEvent("focus", "Focus updated", {
-      previous: previousFocus,
-      next: gsiState.currentFocus,
-    });
+  for (const entry of publishers.values()) {
+    if (previousEffective.get(entry.key) !== JSON.stringify(getEffectiveQualityForKey(entry.key))) {
+      sendQualityProfileUpdate(entry);
+    }
   }
-  res.json({ ok: true });
+
+  broadcast({
+    type: "SCENE_APPLIED",
+    scene: { id: preset.id, name: preset.name },
+    visibility: visibilityStore,
+    forcedFallback: getForcedFallbackList(),
+    currentFocus: gsiState.currentFocus,
+    focusLock: getFocusLockState(),
+  });
+  sendAdminUpdate("scene", { scene: { id: preset.id, name: preset.name } });
+  sendAdminUpdate("fallback", { forcedFallback: getForcedFallbackList() });
+  sendAdminUpdate("quality", { quality: buildQualitySummary() });
+  sendAdminUpdate("focus", { currentFocus: gsiState.currentFocus, focusLock: getFocusLockState() });
+  queueAllAdminCameraUpdates();
+
+  logEvent("admin", "Scene preset applied", {
+    scene: preset.id,
+    name: preset.name,
+    focus: preset.focus,
+    admin: actor.admin,
+    ip: actor.ip,
+  });
+}
+
+app.get("/api/admin/scenes", requireAdminAccess, (_req, res) => {
+  res.json({ scenes: listScenePresets().map(describeScenePreset) });
 });
 
-function buildPlayerList() {
-  const source = latestGSI && typeof latestGSI === "object" ? latestGSI.allplayers : null;
-  const records = [];
+app.post("/api/admin/scenes", requireAdminAccess, async (req, res) => {
+  const name = sanitizeSceneName(req.body?.name);
+  const id = buildSceneId(name);
+  if (!name || !id) {
+    res.status(400).json({ error: "Scene name must contain letters or digits" });
+    return;
+  }
 
-  if (source && typeof source === "object") {
-    for (const key of Object.keys(source)) {
-      const entry = source[key] || {};
-      const id = typeof entry.steamid === "string" && entry.steamid.trim() ? entry.steamid.trim() : String(key);
-      const name = typeof entry.name === "string" && entry.name.trim() ? entry.name.trim() : id;
-      const team = typeof entry.team === "string" && entry.team.trim() ? entry.team.trim() : null;
-      const observerSlotRaw = entry.observer_slot ?? entry.observer_slot_raw ?? null;
-      const observerSlot = Number.isFinite(Number(observerSlotRaw)) ? Number(observerSlotRaw) : null;
+  const previous = scenePresets.get(id) || null;
+  if (!previous && scenePresets.size >= MAX_SCENE_PRESETS) {
+    res.status(400).json({ error: `At most ${MAX_SCENE_PRESETS} scene presets can be stored` });
+    return;
+  }
 
-      records.push({
-        id,
-        name,
-        team,
-        observer_slot: observerSlot,
-        state: entry.state && typeof entry.state === "object" ? entry.state : null,
-      });
-    }
-  } else {
-    for (const player of Object.values(gsiState.players)) {
-      if (!player) {
-        continue;
-      }
-      const id = typeof player.steamId === "string" && player.steamId.trim() ? player.steamId.trim() : player.rawSteamId || "";
-      const name = typeof player.name === "string" && player.name.trim() ? player.name.trim() : id || "Player";
-      const observerSlot = Number.isFinite(Number(player.observer_slot)) ? Number(player.observer_slot) : null;
-      const team = typeof player.team === "string" && player.team.trim() ? player.team.trim() : null;
+  const now = new Date().toISOString();
+  const preset = {
+    id,
+    name,
+    ...captureSceneState(),
+    createdAt: previous?.createdAt || now,
+    createdBy: previous?.createdBy || req.adminActor,
+    updatedAt: now,
+    updatedBy: req.adminActor,
+  };
 
-      records.push({
-        id: id || name,
-        name,
-        team,
-        observer_slot: observerSlot,
-        state: null,
-      });
+  scenePresets.set(id, preset);
+  try {
+    await persistScenePresets();
+  } catch (error) {
+    if (previous) {
+      scenePresets.set(id, previous);
+    } else {
+      scenePresets.delete(id);
     }
+    res.status(500).json({ error: "Failed to save scene presets" });
+    return;
   }
 
-  records.sort((a, b) => {
-    const teamA = (a.team || "").toUpperCase();
-    const teamB = (b.team || "").toUpperCase();
-    if (teamA !== teamB) {
-      return teamA.localeCompare(teamB);
-    }
-    const slotA = Number.isFinite(a.observer_slot) ? a.observer_slot : 999;
-    const slotB = Number.isFinite(b.observer_slot) ? b.observer_slot : 999;
-    if (slotA !== slotB) {
-      return slotA - slotB;
-    }
-    return a.name.localeCompare(b.name);
+  logEvent("admin", previous ? "Scene preset updated" : "Scene preset saved", {
+    scene: id,
+    name,
+    admin: req.adminActor,
+    ip: req.adminClientIp,
   });
+  res.json({ ok: true, scene: describeScenePreset(preset) });
+});
 
-  return records;
-}
-
-app.get("/players", (req, res) => {
-  res.json({ players: buildPlayerList() });
+app.get("/api/admin/scenes/:id", requireAdminAccess, (req, res) => {
+  const preset = scenePresets.get(req.params.id);
+  if (!preset) {
+    res.status(404).json({ error: "Scene preset not found" });
+    return;
+  }
+  res.json({ scene: preset });
 });
 
-app.get("/api/gsi/state", requireAdminAccess, (_req, res) => {
-  res.json({
-    players: buildPlayerList(),
-    currentFocus: gsiState.currentFocus,
-    teamNames: gsiState.teamNames,
-    raw: latestGSI,
-    updatedAt: new Date().toISOString(),
-  });
+app.get("/api/admin/scenes/:id/diff", requireAdminAccess, (req, res) => {
+  const preset = scenePresets.get(req.params.id);
+  if (!preset) {
+    res.status(404).json({ error: "Scene preset not found" });
+    return;
+  }
+  res.json({ scene: describeScenePreset(preset), diff: diffScenePreset(preset) });
 });
 
-app.get("/current-focus", (req, res) => {
-  res.json({ currentFocus: gsiState.currentFocus });
+app.post("/api/admin/scenes/:id/apply", requireAdminAccess, async (req, res) => {
+  const preset = scenePresets.get(req.params.id);
+  if (!preset) {
+    res.status(404).json({ error: "Scene preset not found" });
+    return;
+  }
+
+  const diff = diffScenePreset(preset);
+  try {
+    await applyScenePreset(preset, { admin: req.adminActor, ip: req.adminClientIp });
+  } catch (error) {
+    console.error("Failed to apply scene preset", error);
+    res.status(500).json({ error: "Failed to save configuration" });
+    return;
+  }
+
+  res.json({ ok: true, scene: describeScenePreset(preset), diff });
 });
 
-app.get("/api/current-focus", (req, res) => {
-  res.json({ currentFocus: gsiState.currentFocus });
+app.delete("/api/admin/scenes/:id", requireAdminAccess, async (req, res) => {
+  const previous = scenePresets.get(req.params.id);
+  if (!previous) {
+    res.status(404).json({ error: "Scene preset not found" });
+    return;
+  }
+
+  scenePresets.delete(previous.id);
+  try {
+    await persistScenePresets();
+  } catch (error) {
+    scenePresets.set(previous.id, previous);
+    res.status(500).json({ error: "Failed to save scene presets" });
+    return;
+  }
+
+  logEvent("admin", "Scene preset deleted", {
+    scene: previous.id,
+    name: previous.name,
+    admin: req.adminActor,
+    ip: req.adminClientIp,
+  });
+  res.json({ ok: true });
 });
 
-app.get("/teams", (req, res) => {
-  const payload = latestGSI && typeof latestGSI === "object" ? latestGSI : {};
-  const source = payload.allplayers && typeof payload.allplayers === "object" ? payload.allplayers : {};
-  const hints = {
-    CT: typeof payload?.map?.team_ct?.name === "string" && payload.map.team_ct.name.trim()
-      ? payload.map.team_ct.name.trim()
-      : gsiState.teamNames.CT,
-    T: typeof payload?.map?.team_t?.name === "string" && payload.map.team_t.name.trim()
-      ? payload.map.team_t.name.trim()
-      : gsiState.teamNames.T,
-  };
+const CONFIG_DOCUMENTS = {
+  adminConfig: { path: ADMIN_CONFIG_PATH, read: () => adminConfig },
+  visibility: { path: VISIBILITY_PATH, read: () => visibilityStore },
+  players: {
+    path: PLAYER_REGISTRY_PATH,
+    listField: "players",
+    keyField: "steamId",
+    read: () => ({ players: listRegistryPlayers() }),
+  },
+  teams: {
+    path: TEAM_CATALOGUE_PATH,
+    listField: "teams",
+    keyField: "id",
+    read: () => ({ teams: listCatalogueTeams() }),
+  },
+  accounts: {
+    path: ADMIN_ACCOUNTS_PATH,
+    listField: "accounts",
+    keyField: "username",
+    read: () => ({ accounts: Array.from(adminAccounts.values()) }),
+  },
+  scenes: {
+    path: SCENE_PRESETS_PATH,
+    listField: "presets",
+    keyField: "id",
+    read: () => ({ presets: listScenePresets() }),
+  },
+};
 
-  const teamMap = new Map();
+const RESTORABLE_DATA_FILES = new Map([
+  ...Object.entries(CONFIG_DOCUMENTS).map(([name, spec]) => [path.basename(spec.path), name]),
+  [path.basename(TEAM_IMPORT_CACHE_PATH), "teamImport"],
+]);
 
-  const ensureTeam = (id) => {
-    const normalized = (id || "UNKNOWN").toUpperCase();
-    if (!teamMap.has(normalized)) {
-      const hintName = hints[normalized] || normalized;
-      teamMap.set(normalized, {
-        id: normalized,
-        name: hintName || normalized,
-        players: [],
-        logo: null,
-        altLogo: null,
-        colors: null,
-      });
-    }
-    return teamMap.get(normalized);
+function buildConfigBundle(actor) {
+  const documents = {};
+  for (const [name, spec] of Object.entries(CONFIG_DOCUMENTS)) {
+    documents[name] = structuredClone(spec.read());
+  }
+  return {
+    format: CONFIG_BUNDLE_FORMAT,
+    version: CONFIG_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    exportedBy: actor,
+    documents,
   };
+}
 
-  for (const key of Object.keys(source)) {
-    const entry = source[key] || {};
-    const teamIdRaw = typeof entry.team === "string" && entry.team.trim() ? entry.team.trim() : "UNKNOWN";
-  const teamBucket = ensureTeam(teamIdRaw);
-
-    const playerId = typeof entry.steamid === "string" && entry.steamid.trim() ? entry.steamid.trim() : String(key);
-    const name = typeof entry.name === "string" && entry.name.trim() ? entry.name.trim() : playerId;
-    const observerSlotRaw = entry.observer_slot ?? entry.observer_slot_raw ?? null;
-    const observerSlot = Number.isFinite(Number(observerSlotRaw)) ? Number(observerSlotRaw) : null;
+function validateConfigBundle(bundle) {
+  const errors = [];
+  if (!bundle || typeof bundle !== "object" || Array.isArray(bundle)) {
+    return { errors: ["Bundle must be a JSON object"], documents: {} };
+  }
+  if (bundle.format !== CONFIG_BUNDLE_FORMAT) {
+    errors.push(`format must be "${CONFIG_BUNDLE_FORMAT}"`);
+  }
+  if (bundle.version !== CONFIG_BUNDLE_VERSION) {
+    errors.push(`Unsupported bundle version: ${bundle.version}`);
+  }
 
-    teamBucket.players.push({
-      id: playerId,
-      name,
-      observer_slot: observerSlot,
-    });
+  const input = bundle.documents;
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    errors.push("documents must be an object");
+    return { errors, documents: {} };
   }
 
-  // ensure hints captured even without players
-  for (const key of Object.keys(hints)) {
-    if (!hints[key]) {
+  const documents = {};
+  for (const [name, value] of Object.entries(input)) {
+    const spec = CONFIG_DOCUMENTS[name];
+    if (!spec) {
+      errors.push(`Unknown document: ${name}`);
       continue;
     }
-  ensureTeam(key);
-  const existing = teamMap.get(key);
-    if (existing) {
-      existing.name = hints[key];
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      errors.push(`${name} must be an object`);
+      continue;
     }
-  }
 
-  const teams = Array.from(teamMap.values()).map((team) => {
-    team.players.sort((a, b) => {
-      const slotA = Number.isFinite(a.observer_slot) ? a.observer_slot : 999;
-      const slotB = Number.isFinite(b.observer_slot) ? b.observer_slot : 999;
-      if (slotA !== slotB) {
-        return slotA - slotB;
+    if (spec.listField) {
+      const list = value[spec.listField];
+      if (!Array.isArray(list)) {
+        errors.push(`${name}.${spec.listField} must be an array`);
+        continue;
       }
-      return a.name.localeCompare(b.name);
-    });
-    return team;
-  });
+      const missing = list.filter((item) => typeof item?.[spec.keyField] !== "string" || !item[spec.keyField]);
+      if (missing.length) {
+        errors.push(`${name}: ${missing.length} item(s) without ${spec.keyField}`);
+        continue;
+      }
+    } else if (name === "adminConfig") {
+      if (value.allowedIps !== undefined && !Array.isArray(value.allowedIps)) {
+        errors.push("adminConfig.allowedIps must be an array");
+        continue;
+      }
+      const invalid = (value.allowedIps || []).filter((entry) => !isValidIp(typeof entry === "string" ? entry : entry?.ip));
+      if (invalid.length) {
+        errors.push(`adminConfig.allowedIps: ${invalid.length} invalid address(es)`);
+        continue;
+      }
+    } else if (name === "visibility") {
+      const invalid = VISIBILITY_SECTIONS.filter(
+        (section) => value[section] !== undefined && (typeof value[section] !== "object" || Array.isArray(value[section]))
+      );
+      if (invalid.length) {
+        errors.push(`visibility: ${invalid.join(", ")} must be objects`);
+        continue;
+      }
+    }
+    documents[name] = value;
+  }
 
-  res.json({ teams });
-});
+  if (!errors.length && !Object.keys(documents).length) {
+    errors.push("Bundle contains no documents");
+  }
+  return { errors, documents };
+}
 
-app.get("/admin-panel", requireAdminAccess, (_req, res) => {
-  res.sendFile(path.join(__dirname, "private", "admin.html"));
-});
+function diffKeyedObjects(current, next) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+  for (const key of new Set([...Object.keys(current), ...Object.keys(next)])) {
+    if (!(key in next)) {
+      removed.push(key);
+    } else if (!(key in current)) {
+      added.push(key);
+    } else if (JSON.stringify(current[key]) !== JSON.stringify(next[key])) {
+      changed.push(key);
+    }
+  }
+  return { added: added.sort(), removed: removed.sort(), changed: changed.sort() };
+}
 
-app.get("/api/admin/dashboard", requireAdminAccess, (_req, res) => {
-  res.json({
-    allowedIps: adminConfig.allowedIps,
-    publishers: collectPublisherStats(),
-    currentFocus: gsiState.currentFocus,
-    teamNames: gsiState.teamNames,
-    roster: buildPlayerList(),
-    siteLinks: SITE_LINKS,
-    ownerIp: OWNER_IP,
-    forcedFallback: getForcedFallbackList(),
-    quality: {
-      defaultProfile: adminConfig.quality?.defaultProfile || "HIGH",
-      defaultParams: resolveQualityProfile(
-        adminConfig.quality?.defaultProfile,
-        adminConfig.quality?.defaultCustom
-      ),
-      overrides: Object.entries(adminConfig.quality?.cameraOverrides || {}).map(
-        ([key, value]) => ({
-          key,
-          nickname: value.nickname,
-          profile: value.profile,
-          params: resolveQualityProfile(
-            value.profile,
-            value.profile === "CUSTOM" ? value.custom : adminConfig.quality?.defaultCustom
-          ),
-        })
-      ),
-    },
-    updatedAt: new Date().toISOString(),
-  });
-});
+function diffConfigDocument(name, next) {
+  const spec = CONFIG_DOCUMENTS[name];
+  const current = spec.read();
+  const index = (list, field) => Object.fromEntries((list || []).map((item) => [item?.[field], item]));
+
+  if (spec.listField) {
+    return diffKeyedObjects(index(current[spec.listField], spec.keyField), index(next[spec.listField], spec.keyField));
+  }
+  if (name === "adminConfig") {
+    const { allowedIps: currentIps, ...currentRest } = current;
+    const { allowedIps: nextIps, ...nextRest } = next;
+    const normalizeIps = (list) =>
+      index((list || []).map((entry) => (typeof entry === "string" ? { ip: entry } : entry)), "ip");
+    return {
+      ...diffKeyedObjects(currentRest, nextRest),
+      allowedIps: diffKeyedObjects(normalizeIps(currentIps), normalizeIps(nextIps)),
+    };
+  }
 
-app.get("/api/admin/cameras", requireAdminAccess, (_req, res) => {
-  res.json({
-    cameras: collectCameraSessions(),
-    forcedFallback: getForcedFallbackList(),
-    updatedAt: new Date().toISOString(),
+  const sections = {};
+  VISIBILITY_SECTIONS.forEach((section) => {
+    sections[section] = diffKeyedObjects(current[section] || {}, next[section] || {});
   });
-});
-
-app.post("/api/admin/allowed-ips", requireAdminAccess, async (req, res) => {
-  const rawIp = typeof req.body?.ip === "string" ? req.body.ip.trim() : "";
-  const normalizedIp = normalizeIp(rawIp);
-  const label = typeof req.body?.label === "string" ? req.body.label.trim() : "";
+  return sections;
+}
 
-  if (!normalizedIp || !isValidIp(normalizedIp)) {
-    res.status(400).json({ error: "Invalid IPv4 address" });
-    return;
+function reloadPersistedDocuments(names) {
+  for (const name of names) {
+    switch (name) {
+      case "adminConfig":
+        loadAdminConfig();
+        for (const entry of publishers.values()) {
+          sendQualityProfileUpdate(entry);
+        }
+        sendAdminUpdate("quality", { quality: buildQualitySummary() });
+        queueAllAdminCameraUpdates();
+        broadcastTeamBranding();
+        break;
+      case "visibility":
+        visibilityStore = loadVisibilityStore();
+        broadcastVisibilityState();
+        break;
+      case "players":
+        playerRegistry = loadPlayerRegistry();
+        break;
+      case "teams":
+        teamCatalogue = loadTeamCatalogue();
+        broadcastTeamBranding();
+        break;
+      case "accounts":
+        adminAccounts = loadAdminAccounts();
+        adminAuthCache.clear();
+        break;
+      case "scenes":
+        scenePresets = loadScenePresets();
+        break;
+      case "teamImport":
+        teamImportCache = loadTeamImportCache();
+        break;
+      default:
+        break;
+    }
   }
+}
 
-  if (adminConfig.allowedIps.some((entry) => entry.ip === normalizedIp)) {
-    res.status(409).json({ error: "IP address already allowed" });
-    return;
+// Copies the listed snapshot files back one by one; a failure leaves the earlier ones
+// restored, so callers take a backup first and undo with revertDataFiles.
+async function restoreDataSnapshot(snapshotId, files) {
+  const directory = path.join(DATA_SNAPSHOT_DIR, snapshotId);
+  const restored = [];
+  for (const file of files) {
+    const name = RESTORABLE_DATA_FILES.get(file);
+    if (!name) {
+      continue;
+    }
+    const target = name === "teamImport" ? TEAM_IMPORT_CACHE_PATH : CONFIG_DOCUMENTS[name].path;
+    await writeFileAtomic(target, await fsPromises.readFile(path.join(directory, file)));
+    restored.push(name);
   }
+  return restored;
+}
 
-  const newEntry = {
-    ip: normalizedIp,
-    label,
-    addedAt: new Date().toISOString(),
-    addedBy: req.adminClientIp,
-  };
-
-  adminConfig.allowedIps.push(newEntry);
-  try {
-    await persistAdminConfig();
-  } catch (error) {
-    console.error("Failed to persist admin config", error);
-    res.status(500).json({ error: "Failed to save configuration" });
-    return;
+// Puts back the files a backup snapshot holds and deletes the ones that did not exist
+// when it was taken, since the snapshot has nothing to restore them from.
+async function revertDataFiles(backupId, filePaths, createdPaths) {
+  const backedUp = filePaths.filter((filePath) => !createdPaths.includes(filePath)).map((filePath) => path.basename(filePath));
+  if (backupId && backedUp.length) {
+    await restoreDataSnapshot(backupId, backedUp);
   }
+  for (const filePath of createdPaths) {
+    await fsPromises.rm(filePath, { force: true });
+  }
+}
 
-  res.json({ ok: true, allowedIps: adminConfig.allowedIps });
-  logEvent("admin", "IP allowlisted", {
-    ip: normalizedIp,
-    label,
-    admin: req.adminClientIp,
-  });
+app.get("/api/admin/config/export", requireAdminAccess, requireAdminRole("owner"), (req, res) => {
+  const bundle = buildConfigBundle(req.adminActor);
+  const stamp = bundle.exportedAt.replace(/[:.]/g, "-");
+  logEvent("admin", "Configuration exported", { admin: req.adminActor, ip: req.adminClientIp });
+  res.setHeader("Content-Disposition", `attachment; filename="bikecam-config-${stamp}.json"`);
+  res.json(bundle);
 });
 
-app.delete("/api/admin/allowed-ips/:ip", requireAdminAccess, async (req, res) => {
-  const normalizedIp = normalizeIp(req.params?.ip);
-
-  if (!normalizedIp || !isValidIp(normalizedIp)) {
-    res.status(400).json({ error: "Invalid IPV4 address" });
+app.post("/api/admin/config/import", requireAdminAccess, requireAdminRole("owner"), async (req, res) => {
+  const dryRun = req.query.dryRun === "true" || req.query.dryRun === "1";
+  const { errors, documents } = validateConfigBundle(req.body);
+  if (errors.length) {
+    res.status(400).json({ error: "Invalid configuration bundle", details: errors });
     return;
   }
 
-  if (normalizedIp === OWNER_IP) {
-    res.status(400).json({ error: "Primary owner IP cannot be removed" });
-    return;
+  const names = Object.keys(documents);
+  const diff = Object.fromEntries(names.map((name) => [name, diffConfigDocument(name, documents[name])]));
+  const warnings = [];
+  if (documents.adminConfig) {
+    const nextIps = (documents.adminConfig.allowedIps || []).map((entry) =>
+      typeof entry === "string" ? { ip: entry } : entry
+    );
+    const clientIp = normalizeIp(req.adminClientIp);
+    if (clientIp && clientIp !== OWNER_IP && isIpAllowed(clientIp) && !isIpAllowed(clientIp, nextIps)) {
+      warnings.push(`Your IP ${clientIp} is not in the imported allowlist`);
+    }
   }
 
-  const index = adminConfig.allowedIps.findIndex(
-    (entry) => entry.ip === normalizedIp
-  );
-  if (index === -1) {
-    res.status(404).json({ error: "IP address not found" });
+  if (dryRun) {
+    res.json({ ok: true, dryRun: true, documents: names, diff, warnings });
     return;
   }
 
-  adminConfig.allowedIps.splice(index, 1);
+  const paths = names.map((name) => CONFIG_DOCUMENTS[name].path);
+  const createdPaths = paths.filter((filePath) => !fs.existsSync(filePath));
+  let snapshotId = null;
+  try {
+    await fsPromises.mkdir(ADMIN_DATA_DIR, { recursive: true });
+    snapshotId = await snapshotDataFiles(paths, "import", req.adminActor);
+  } catch (error) {
+    console.error("Failed to snapshot before import", error);
+    res.status(500).json({ error: "Failed to snapshot current configuration" });
+    return;
+  }
 
   try {
-    await persistAdminConfig();
+    for (const name of names) {
+      await writeDataFile(CONFIG_DOCUMENTS[name].path, documents[name], { snapshot: false });
+    }
   } catch (error) {
-    console.error("Failed to persist admin config", error);
+    console.error("Failed to import configuration", error);
+    await revertDataFiles(snapshotId, paths, createdPaths).catch((restoreError) => {
+      console.error("Failed to restore snapshot after import failure", restoreError);
+    });
     res.status(500).json({ error: "Failed to save configuration" });
     return;
   }
 
-  res.json({ ok: true, allowedIps: adminConfig.allowedIps });
-  logEvent("admin", "IP removed from allowlist", {
-    ip: normalizedIp,
-    admin: req.adminClientIp,
+  reloadPersistedDocuments(names);
+  logEvent("admin", "Configuration imported", {
+    documents: names,
+    snapshotId,
+    admin: req.adminActor,
+    ip: req.adminClientIp,
   });
+  res.json({ ok: true, documents: names, diff, warnings, snapshotId });
 });
 
-app.post("/api/admin/kick", requireAdminAccess, (req, res) => {
-  const nickname =
-    typeof req.body?.nickname === "string" ? req.body.nickname.trim() : "";
-  if (!nickname) {
-    res.status(400).json({ error: "nickname is required" });
-    return;
-  }
+app.get("/api/admin/config/snapshots", requireAdminAccess, requireAdminRole("owner"), async (_req, res) => {
+  res.json({ snapshots: await listDataSnapshots(), limit: DATA_SNAPSHOT_LIMIT, autoLimit: DATA_SNAPSHOT_AUTO_LIMIT });
+});
 
-  const { entry } = getPublisherByNickname(nickname);
-  if (!entry) {
-    res.status(404).json({ error: "No active camera with that nickname" });
+app.post("/api/admin/config/rollback", requireAdminAccess, requireAdminRole("owner"), async (req, res) => {
+  const snapshotId = typeof req.body?.snapshotId === "string" ? req.body.snapshotId.trim() : "";
+  const snapshot = DATA_SNAPSHOT_ID_REGEX.test(snapshotId)
+    ? (await listDataSnapshots()).find((item) => item.id === snapshotId)
+    : null;
+  if (!snapshot) {
+    res.status(404).json({ error: "Snapshot not found" });
     return;
   }
 
-  detachPublisher(entry.nickname, entry.socket);
-  logEvent("admin", "Publisher kicked", {
-    nickname: entry.nickname,
-    admin: req.adminClientIp,
+  const files = snapshot.files.filter((file) => RESTORABLE_DATA_FILES.has(file));
+  const targets = files.map((file) => {
+    const name = RESTORABLE_DATA_FILES.get(file);
+    return name === "teamImport" ? TEAM_IMPORT_CACHE_PATH : CONFIG_DOCUMENTS[name].path;
   });
-  res.json({ ok: true, nickname: entry.nickname });
-});
 
-app.post("/api/admin/reconnect", requireAdminAccess, (req, res) => {
-  const nicknameRaw = typeof req.body?.nickname === "string" ? req.body.nickname.trim() : "";
-  if (!nicknameRaw) {
-    res.status(400).json({ error: "nickname is required" });
-    return;
-  }
-
-  const { entry } = getPublisherByNickname(nicknameRaw);
-  if (!entry) {
-    res.status(404).json({ error: "No active camera with that nickname" });
+  const createdPaths = targets.filter((filePath) => !fs.existsSync(filePath));
+  let backupId = null;
+  let restored = [];
+  restoringDataSnapshots.add(snapshotId);
+  try {
+    backupId = await snapshotDataFiles(targets, `rollback to ${snapshotId}`, req.adminActor);
+    restored = await restoreDataSnapshot(snapshotId, files);
+  } catch (error) {
+    console.error("Failed to roll back configuration", error);
+    await revertDataFiles(backupId, targets, createdPaths).catch((restoreError) => {
+      console.error("Failed to undo partial rollback", restoreError);
+    });
+    res.status(500).json({ error: "Failed to restore snapshot" });
     return;
+  } finally {
+    restoringDataSnapshots.delete(snapshotId);
   }
 
-  sendJson(entry.socket, {
-    type: "ADMIN_RECONNECT",
-    nickname: entry.nickname,
-  });
-
-  detachPublisher(entry.nickname, entry.socket);
-  logEvent("admin", "Publisher reconnect requested", {
-    nickname: entry.nickname,
-    admin: req.adminClientIp,
+  reloadPersistedDocuments(restored);
+  logEvent("admin", "Configuration rolled back", {
+    snapshotId,
+    restored,
+    backupId,
+    admin: req.adminActor,
+    ip: req.adminClientIp,
   });
-  res.json({ ok: true, nickname: entry.nickname });
+  res.json({ ok: true, restored, backupId });
 });
 
-app.post("/api/admin/fallback", requireAdminAccess, (req, res) => {
-  const nickname = sanitizeNickname(req.body?.nickname);
-  const key = normalizeNicknameKey(nickname);
-  const mode =
-    typeof req.body?.mode === "string" ? req.body.mode.trim().toLowerCase() : "";
+app.get("/camera/:nickname", (_req, res) => {
+  res
+    .status(410)
+    .json({ error: "camera snapshots are not available in the WebRTC build" });
+});
 
-  if (!key || !nickname) {
-    res.status(400).json({ error: "nickname is required" });
-    return;
-  }
+app.get("/api/admin/focus-policy", requireAdminAccess, (_req, res) => {
+  res.json({ policy: getFocusPolicy(), defaults: { ...DEFAULT_FOCUS_POLICY } });
+});
 
-  const enable = mode === "mjpeg" || mode === "fallback" || mode === "force";
+app.post("/api/admin/focus-policy", requireAdminAccess, async (req, res) => {
+  const previous = getFocusPolicy();
+  adminConfig.focusPolicy = sanitizeFocusPolicy(req.body, previous);
 
-  if (enable) {
-    forcedFallback.set(key, nickname);
-  } else {
-    forcedFallback.delete(key);
+  try {
+    await persistAdminConfig();
+  } catch (error) {
+    console.error("Failed to persist focus policy", error);
+    adminConfig.focusPolicy = previous;
+    res.status(500).json({ error: "Failed to save configuration" });
+    return;
   }
 
-  broadcastForcedFallback();
-  logEvent("fallback", enable ? "Forced MJPEG enabled" : "Forced MJPEG cleared", {
-    nickname,
-    admin: req.adminClientIp,
+  logEvent("admin", "Focus policy updated", {
+    previous,
+    policy: adminConfig.focusPolicy,
+    admin: req.adminActor,
+    ip: req.adminClientIp,
   });
-  res.json({ ok: true, forcedFallback: getForcedFallbackList() });
+  if (evaluatePendingFocus()) {
+    broadcastState();
+  }
+  res.json({ ok: true, policy: adminConfig.focusPolicy });
 });
 
-app.get("/api/admin/quality", requireAdminAccess, (_req, res) => {
-  ensureQualityConfigShape(adminConfig);
-  const quality = adminConfig.quality;
-
-  const overrides = Object.entries(quality.cameraOverrides || {}).map(
-    ([key, value]) => ({
-      key,
-      nickname: value.nickname,
-      profile: value.profile,
-      params: resolveQualityProfile(
-        value.profile,
-        value.profile === "CUSTOM" ? value.custom : quality.defaultCustom
-      ),
-    })
-  );
-
+app.get("/api/admin/auto-director", requireAdminAccess, (_req, res) => {
   res.json({
-    availableProfiles: {
-      LOW: { ...QUALITY_PROFILES.LOW },
-      MED: { ...QUALITY_PROFILES.MED },
-      HIGH: { ...QUALITY_PROFILES.HIGH },
-      CUSTOM: resolveQualityProfile("CUSTOM", quality.defaultCustom),
-    },
-    default: {
-      profile: quality.defaultProfile,
-      params: resolveQualityProfile(quality.defaultProfile, quality.defaultCustom),
-      custom: quality.defaultCustom,
-    },
-    overrides,
+    config: getAutoDirectorConfig(),
+    suggestion: autoDirectorState.suggestion,
+    defaults: DEFAULT_AUTO_DIRECTOR,
   });
 });
 
-app.post("/api/admin/quality/default", requireAdminAccess, async (req, res) => {
-  ensureQualityConfigShape(adminConfig);
-  const quality = adminConfig.quality;
-
-  const profileName = normalizeProfileName(req.body?.profile);
-  if (!profileName) {
-    res.status(400).json({ error: "Unknown profile" });
-    return;
-  }
-
-  if (req.body?.custom) {
-    quality.defaultCustom = sanitizeQualityParams(req.body.custom, quality.defaultCustom);
-  }
-
-  if (profileName === "CUSTOM") {
-    quality.defaultCustom = sanitizeQualityParams(req.body?.custom, quality.defaultCustom);
-  }
-
-  quality.defaultProfile = profileName;
+app.post("/api/admin/auto-director", requireAdminAccess, async (req, res) => {
+  const previous = getAutoDirectorConfig();
+  adminConfig.autoDirector = sanitizeAutoDirectorConfig(req.body, previous);
 
   try {
     await persistAdminConfig();
   } catch (error) {
-    console.error("Failed to persist quality default", error);
+    console.error("Failed to persist auto-director config", error);
+    adminConfig.autoDirector = previous;
     res.status(500).json({ error: "Failed to save configuration" });
     return;
   }
 
-  for (const entry of publishers.values()) {
-    if (!quality.cameraOverrides[entry.key]) {
-      sendQualityProfileUpdate(entry);
-    }
+  if (adminConfig.autoDirector.mode === "off") {
+    autoDirectorState.suggestion = null;
   }
-
-  logEvent("admin", "Default quality profile updated", {
-    profile: profileName,
-    admin: req.adminClientIp,
+  logEvent("admin", "Auto-director updated", {
+    previous,
+    config: adminConfig.autoDirector,
+    admin: req.adminActor,
+    ip: req.adminClientIp,
   });
+  res.json({ ok: true, config: adminConfig.autoDirector, suggestion: autoDirectorState.suggestion });
+});
 
+app.get("/api/admin/team-overrides", requireAdminAccess, (_req, res) => {
   res.json({
-    ok: true,
-    default: {
-      profile: quality.defaultProfile,
-      params: resolveQualityProfile(quality.defaultProfile, quality.defaultCustom),
-      custom: quality.defaultCustom,
-    },
+    overrides: adminConfig.teamOverrides,
+    teams: buildTeamBranding(),
+    identities: describeTeamIdentities(),
   });
 });
 
-app.post("/api/admin/quality/camera", requireAdminAccess, async (req, res) => {
-  ensureQualityConfigShape(adminConfig);
-  const quality = adminConfig.quality;
-
-  const nickname = sanitizeNickname(req.body?.nickname);
-  const key = normalizeNicknameKey(nickname);
-  if (!key || !nickname) {
-    res.status(400).json({ error: "nickname is required" });
-    return;
-  }
-
-  const requestedProfileRaw = typeof req.body?.profile === "string" ? req.body.profile.trim() : "";
-  const requestedProfile = normalizeProfileName(requestedProfileRaw);
-  const removeOverride =
-    !requestedProfile || requestedProfileRaw.toLowerCase() === "inherit" || req.body?.remove === true;
-
-  if (removeOverride) {
-    const existed = Boolean(quality.cameraOverrides[key]);
-    delete quality.cameraOverrides[key];
-
-    try {
-      await persistAdminConfig();
-    } catch (error) {
-      console.error("Failed to persist quality override removal", error);
-      res.status(500).json({ error: "Failed to save configuration" });
-      return;
-    }
-
-    notifyQualityProfileForKey(key);
-    if (existed) {
-      logEvent("admin", "Camera quality override cleared", {
-        nickname,
-        admin: req.adminClientIp,
-      });
-    }
-
-    res.json({ ok: true, override: null });
-    return;
-  }
-
-  if (!requestedProfile) {
-    res.status(400).json({ error: "Unknown profile" });
+app.post("/api/admin/team-overrides", requireAdminAccess, async (req, res) => {
+  const scope = req.body?.scope === "team" ? "teams" : req.body?.scope === "side" ? "sides" : null;
+  const rawKey = typeof req.body?.key === "string" ? req.body.key.trim() : "";
+  const key = scope === "sides" ? rawKey.toUpperCase() : slugifyTeamId(rawKey);
+  if (!scope || !key || (scope === "sides" && !GSI_TEAM_SIDES.includes(key))) {
+    res.status(400).json({ error: "scope must be side (CT/T) or team with a team id" });
     return;
   }
 
-  const override = {
-    profile: requestedProfile,
-    nickname,
-  };
-
-  if (requestedProfile === "CUSTOM") {
-    override.custom = sanitizeQualityParams(req.body?.custom, quality.defaultCustom);
+  const previous = adminConfig.teamOverrides;
+  const override = sanitizeTeamOverride(req.body?.override);
+  const bucket = { ...previous[scope] };
+  if (Object.keys(override).length) {
+    bucket[key] = override;
+  } else {
+    delete bucket[key];
   }
-
-  quality.cameraOverrides[key] = override;
+  adminConfig.teamOverrides = { ...previous, [scope]: bucket };
 
   try {
     await persistAdminConfig();
   } catch (error) {
-    console.error("Failed to persist quality override", error);
+    console.error("Failed to persist team overrides", error);
+    adminConfig.teamOverrides = previous;
     res.status(500).json({ error: "Failed to save configuration" });
     return;
   }
 
-  notifyQualityProfileForKey(key);
-  logEvent("admin", "Camera quality override updated", {
-    nickname,
-    profile: requestedProfile,
-    admin: req.adminClientIp,
-  });
-
-  res.json({
-    ok: true,
-    override: {
-      key,
-      nickname,
-      profile: override.profile,
-      params: resolveQualityProfile(
-        override.profile,
-        override.profile === "CUSTOM" ? override.custom : quality.defaultCustom
-      ),
-    },
+  broadcastTeamBranding();
+  logEvent("admin", Object.keys(override).length ? "Team override updated" : "Team override cleared", {
+    scope: scope === "sides" ? "side" : "team",
+    key,
+    override,
+    admin: req.adminActor,
+    ip: req.adminClientIp,
   });
-});
-
-app.get("/camera/:nickname", (_req, res) => {
-  res
-    .status(410)
-    .json({ error: "camera snapshots are not available in the WebRTC build" });
+  res.json({ ok: true, overrides: adminConfig.teamOverrides, teams: buildTeamBranding() });
 });
 
 app.post("/admin/focus", requireAdminAccess, (req, res) => {
@@ -1980,10 +6153,35 @@ app.post("/admin/focus", requireAdminAccess, (req, res) => {
     return;
   }
 
-  gsiState.currentFocus = nickname;
-  broadcastState();
-  logEvent("focus", "Focus manually set", { nickname, admin: req.adminClientIp });
-  res.json({ ok: true, currentFocus: gsiState.currentFocus });
+  if (focusLock) {
+    focusLock.nickname = nickname;
+  }
+  commitFocus(nickname);
+  broadcastState();
+  logEvent("focus", "Focus manually set", { nickname, admin: req.adminActor, ip: req.adminClientIp });
+  res.json({ ok: true, currentFocus: gsiState.currentFocus, focusLock: getFocusLockState() });
+});
+
+app.post("/api/admin/focus/lock", requireAdminAccess, (req, res) => {
+  const nickname = sanitizeNickname(req.body?.nickname);
+  if (!nickname) {
+    res.status(400).json({ error: "nickname is required" });
+    return;
+  }
+
+  const durationSeconds = Number(req.body?.durationSeconds);
+  const durationMs =
+    Number.isFinite(durationSeconds) && durationSeconds > 0
+      ? Math.round(clampNumber(durationSeconds, 1, 3600, 60) * 1000)
+      : 0;
+
+  lockFocus(nickname, durationMs, req.adminActor);
+  res.json({ ok: true, currentFocus: gsiState.currentFocus, focusLock: getFocusLockState() });
+});
+
+app.post("/api/admin/focus/release", requireAdminAccess, (req, res) => {
+  const released = releaseFocusLock("released", req.adminActor);
+  res.json({ ok: true, released, currentFocus: gsiState.currentFocus, focusLock: null });
 });
 
 app.post("/api/fallback/frame", (req, res) => {
@@ -2030,6 +6228,9 @@ app.post("/api/fallback/frame", (req, res) => {
     updatedAt: Date.now(),
   };
 
+  if (!fallbackFrames.has(nicknameKey)) {
+    queueAdminCameraUpdate(nicknameKey);
+  }
   fallbackFrames.set(nicknameKey, record);
   broadcastFallbackFrame(nicknameKey, record);
 
@@ -2105,6 +6306,19 @@ app.get("/api/logs/export", requireAdminAccess, (_req, res) => {
   res.json({ logs: serverLogs });
 });
 
+app.get("/api/logs", requireAdminAccess, async (req, res) => {
+  const filter = parseLogFilter(req.query);
+  const before = Number.isFinite(Number(req.query.before)) && req.query.before !== "" ? Number(req.query.before) : null;
+  const limit = Math.round(clampNumber(req.query.limit, 1, LOG_QUERY_MAX_LIMIT, LOG_QUERY_DEFAULT_LIMIT));
+
+  try {
+    res.json(await queryPersistedLogs(filter, { before, limit }));
+  } catch (error) {
+    console.error("Failed to query logs", error);
+    res.status(500).json({ error: "Failed to read logs" });
+  }
+});
+
 app.get("/api/logs/stream", requireAdminAccess, (req, res) => {
   res.setHeader("Content-Type", "text/event-stream");
   res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
@@ -2112,10 +6326,12 @@ app.get("/api/logs/stream", requireAdminAccess, (req, res) => {
   res.flushHeaders?.();
 
   const client = res;
+  client.locals.logFilter = parseLogFilter(req.query);
   logStreamClients.add(client);
-  logEvent("admin", "Log stream connected", { admin: req.adminClientIp });
+  logEvent("admin", "Log stream connected", { admin: req.adminActor, ip: req.adminClientIp });
 
-  const snapshot = `event: snapshot\ndata:${JSON.stringify(serverLogs)}\n\n`;
+  const matching = serverLogs.filter((entry) => matchesLogFilter(entry, client.locals.logFilter));
+  const snapshot = `event: snapshot\ndata:${JSON.stringify(matching)}\n\n`;
   try {
     client.write(snapshot);
   } catch (error) {
@@ -2124,16 +6340,83 @@ app.get("/api/logs/stream", requireAdminAccess, (req, res) => {
 
   req.on("close", () => {
     logStreamClients.delete(client);
-    logEvent("admin", "Log stream disconnected", { admin: req.adminClientIp });
+    logEvent("admin", "Log stream disconnected", { admin: req.adminActor, ip: req.adminClientIp });
   });
 });
 
+function signAdminSocketPayload(payload) {
+  return crypto.createHmac("sha256", ADMIN_SOCKET_TOKEN_SECRET).update(payload).digest("base64url");
+}
+
+function issueAdminSocketToken(role, admin) {
+  const expiresAt = Date.now() + ADMIN_SOCKET_TOKEN_TTL_MS;
+  const payload = Buffer.from(JSON.stringify({ role, admin, exp: expiresAt })).toString("base64url");
+  return { token: `${payload}.${signAdminSocketPayload(payload)}`, role, expiresAt };
+}
+
+function verifyAdminSocketToken(token, role) {
+  if (typeof token !== "string" || !token.includes(".") || token.length > 512) {
+    return { ok: false, reason: "missing token" };
+  }
+
+  const [payload, signature] = token.split(".");
+  const expected = Buffer.from(signAdminSocketPayload(payload || ""));
+  const provided = Buffer.from(signature || "");
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return { ok: false, reason: "invalid token" };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf-8"));
+  } catch (error) {
+    return { ok: false, reason: "invalid token" };
+  }
+
+  if (!Number.isFinite(claims?.exp) || claims.exp <= Date.now()) {
+    return { ok: false, reason: "token expired" };
+  }
+  if (claims.role !== role) {
+    return { ok: false, reason: "token issued for another role" };
+  }
+  return { ok: true, admin: claims.admin || null };
+}
+
+function isSocketMessageAllowed(meta, type) {
+  const allowed = SOCKET_ROLE_MESSAGES[meta.role || "unregistered"];
+  return Boolean(allowed && allowed.has(type));
+}
+
+function denySocketMessage(socket, meta, type) {
+  sendJson(socket, {
+    type: "ERROR",
+    message: "Message not allowed for this connection.",
+    reason: "forbidden",
+    messageType: type || null,
+  });
+
+  if (!meta.deniedTypes) {
+    meta.deniedTypes = new Set();
+  }
+  if (meta.deniedTypes.has(type)) {
+    return;
+  }
+  meta.deniedTypes.add(type);
+  logEvent("socket", "WebSocket message denied", {
+    socketId: meta.id,
+    role: meta.role || null,
+    messageType: type || null,
+  });
+}
+
 function handleHello(socket, meta, payload) {
-  const role = typeof payload.role === "string" ? payload.role.trim().toLowerCase() : "";
+  const requestedRole = typeof payload.role === "string" ? payload.role.trim().toLowerCase() : "";
+  const role = SOCKET_ROLE_ALIASES[requestedRole] || requestedRole;
 
   if (role === "publisher") {
     const nickname = sanitizeNickname(payload.nickname);
     const key = normalizeNicknameKey(nickname);
+    let steamId = normalizeSteamId(typeof payload.steamId === "string" ? payload.steamId : "");
 
     if (!nickname || !key) {
       sendJson(socket, { type: "ERROR", message: "nickname is required for publisher" });
@@ -2142,7 +6425,30 @@ function handleHello(socket, meta, payload) {
     }
 
     const { entry: existing } = getPublisherByNickname(nickname);
-    if (existing && existing.socket !== socket) {
+    const resuming = Boolean(existing && existing.socket !== socket && isPublisherResumeToken(existing, payload.resumeToken));
+    const authorization = authorizePublisherHello(key, payload.inviteToken);
+    if (!authorization.ok) {
+      sendJson(socket, {
+        type: "ERROR",
+        message: "A valid invite link is required to publish this camera. Ask an admin for a new link.",
+        reason: authorization.reason,
+      });
+      logEvent("publisher", "Publisher rejected due to invite", {
+        nickname,
+        reason: authorization.reason,
+      });
+      if (existing && existing.socket === socket) {
+        detachPublisher(existing.nickname, socket);
+      }
+      return;
+    }
+
+    const invite = authorization.invite;
+    if (invite?.steamId) {
+      steamId = invite.steamId;
+    }
+
+    if (existing && existing.socket !== socket && !resuming) {
       sendJson(socket, {
         type: "ERROR",
         message: "Nickname already in use. Wait until it is released.",
@@ -2153,26 +6459,51 @@ function handleHello(socket, meta, payload) {
       return;
     }
 
+    const boundEntry = getPublisherBySteamId(steamId);
+    if (boundEntry && boundEntry.socket !== socket && !(resuming && boundEntry === existing)) {
+      sendJson(socket, {
+        type: "ERROR",
+        message: "This player already has a camera. Wait until it is released.",
+      });
+      logEvent("publisher", "Publisher rejected due to duplicate SteamID", {
+        nickname,
+        steamId,
+        boundTo: boundEntry.nickname,
+      });
+      return;
+    }
+
     if (meta.nicknameKey && meta.nicknameKey !== key) {
       detachPublisher(meta.nickname, socket);
     }
 
     let entry = existing;
+    if (resuming) {
+      takeOverPublisherSocket(entry, socket);
+    }
     if (!entry || entry.socket !== socket) {
       entry = {
         socket,
         viewers: new Map(),
         nickname,
         key,
+        steamId,
+        inviteId: invite?.id || null,
+        resumeToken: crypto.randomBytes(18).toString("base64url"),
+        resumeTimer: null,
+        suspendedAt: null,
         connectedAt: Date.now(),
         lastSeen: Date.now(),
         status: "ONLINE",
         metrics: null,
+        negotiated: new Map(),
       };
       publishers.set(key, entry);
     } else {
       entry.nickname = nickname;
       entry.key = key;
+      entry.steamId = steamId;
+      entry.inviteId = invite?.id || null;
       entry.connectedAt = entry.connectedAt || Date.now();
       entry.lastSeen = Date.now();
       entry.status = "ONLINE";
@@ -2186,21 +6517,61 @@ function handleHello(socket, meta, payload) {
     sendJson(socket, {
       type: "PUBLISHER_REGISTERED",
       nickname,
+      steamId,
       qualityProfile: effectiveQuality,
+      resumeToken: entry.resumeToken,
+      resumeGraceMs: PUBLISHER_RESUME_GRACE_MS,
+      resumed: resuming,
     });
     sendQualityProfileUpdate(entry);
-    logEvent("publisher", "Publisher registered", { nickname });
+    queueAdminCameraUpdate(key);
+    if (resuming) {
+      notifyPublisherResumed(entry);
+      logEvent("publisher", "Publisher resumed session", { nickname, steamId });
+    } else {
+      logEvent("publisher", "Publisher registered", { nickname, steamId, inviteId: invite?.id || null });
+    }
     broadcastPublisherList();
+
+    const active = activeGsiSourceId ? gsiSources.get(activeGsiSourceId) : null;
+    if (
+      active?.focus &&
+      !focusLock &&
+      gsiState.currentFocus !== nickname &&
+      resolveFocusNickname(active.focusSteamId, active.focus) === nickname
+    ) {
+      commitFocus(nickname);
+      broadcastState();
+      logEvent("focus", "Focus rebound to registered camera", { nickname, steamId, player: active.focus });
+    }
     return;
   }
 
   if (role === "viewer" || role === "admin") {
+    if (PRIVILEGED_SOCKET_ROLES.has(role)) {
+      const verification = verifyAdminSocketToken(payload.token, role);
+      if (!verification.ok) {
+        sendJson(socket, {
+          type: "ERROR",
+          message: "An admin socket token is required for this role.",
+          reason: verification.reason,
+        });
+        logEvent("socket", "Privileged socket role denied", {
+          socketId: meta.id,
+          role: requestedRole,
+          reason: verification.reason,
+        });
+        return;
+      }
+      meta.admin = verification.admin;
+    }
+
     meta.role = role;
     sendJson(socket, { type: "VIEWER_REGISTERED", role });
     sendJson(socket, { type: "ACTIVE_PUBLISHERS", publishers: getActivePublishers() });
     sendJson(socket, { type: "FORCED_FALLBACK", nicknames: getForcedFallbackList() });
     sendJson(socket, { type: "VISIBILITY_STATE", state: visibilityStore });
-    logEvent("viewer", "Viewer connected", { role, socketId: meta.id });
+    logEvent("viewer", "Viewer connected", { role, socketId: meta.id, admin: meta.admin || null });
     return;
   }
 
@@ -2244,6 +6615,7 @@ function handleViewerOffer(socket, meta, payload) {
     entry.viewers.set(meta.id, viewerSet);
   }
   viewerSet.add(connectionId);
+  queueAdminCameraUpdate(entry.key);
 
   sendJson(entry.socket, {
     type: "SIGNAL_VIEWER_OFFER",
@@ -2251,6 +6623,7 @@ function handleViewerOffer(socket, meta, payload) {
     connectionId,
     nickname: entry.nickname,
     sdp: payload.sdp,
+    media: getCameraMediaPolicy(entry.key),
   });
   logEvent("viewer", "Viewer offer forwarded", {
     nickname: entry.nickname,
@@ -2306,6 +6679,13 @@ function handlePublisherAnswer(socket, meta, payload) {
     return;
   }
 
+  const whepSession = whepSessions.get(viewerSocketId);
+  if (whepSession) {
+    touchPublisher(publishers.get(meta.nicknameKey));
+    resolveWhepAnswer(whepSession, payload.sdp);
+    return;
+  }
+
   const viewerSocket = socketById.get(viewerSocketId);
   if (!viewerSocket) {
     return;
@@ -2329,6 +6709,14 @@ function handlePublisherIce(socket, meta, payload) {
     return;
   }
 
+  const whepSession = whepSessions.get(viewerSocketId);
+  if (whepSession) {
+    if (payload.candidate && !whepSession.answered) {
+      whepSession.candidates.push(payload.candidate);
+    }
+    return;
+  }
+
   const viewerSocket = socketById.get(viewerSocketId);
   if (!viewerSocket) {
     return;
@@ -2344,6 +6732,126 @@ function handlePublisherIce(socket, meta, payload) {
   });
 }
 
+function sanitizeNegotiatedValue(value, maxLength = 32) {
+  return typeof value === "string" && value.trim() ? value.trim().slice(0, maxLength) : null;
+}
+
+function handlePublisherNegotiated(socket, meta, payload) {
+  const entry = publishers.get(meta.nicknameKey);
+  const viewerSocketId = payload.viewerSocketId;
+  const connectionId = payload.connectionId;
+  if (!entry || entry.socket !== socket || !viewerSocketId || !connectionId || !entry.viewers.get(viewerSocketId)?.has(connectionId)) {
+    return;
+  }
+
+  const transport = payload.transport && typeof payload.transport === "object" ? payload.transport : {};
+  entry.negotiated.set(`${viewerSocketId}:${connectionId}`, {
+    viewerSocketId,
+    connectionId,
+    whep: whepSessions.has(viewerSocketId),
+    codec: sanitizeNegotiatedValue(payload.codec),
+    transport: {
+      candidateType: sanitizeNegotiatedValue(transport.candidateType),
+      protocol: sanitizeNegotiatedValue(transport.protocol),
+      relayProtocol: sanitizeNegotiatedValue(transport.relayProtocol),
+    },
+    reportedAt: new Date().toISOString(),
+  });
+  touchWhepSession(viewerSocketId);
+  queueAdminCameraUpdate(entry.key);
+}
+
+// Only the socket that owns the session may confirm which profile it is encoding with.
+function handlePublisherQualityApplied(socket, meta, payload) {
+  const entry = publishers.get(meta.nicknameKey);
+  const profile = normalizeProfileName(payload.profile);
+  if (!entry || entry.socket !== socket || !profile) {
+    return;
+  }
+
+  const reason = typeof payload.reason === "string" && payload.reason.trim() ? payload.reason.trim().slice(0, 32) : "auto";
+  entry.appliedQuality = { profile, reason, reportedAt: new Date().toISOString() };
+  queueAdminCameraUpdate(entry.key);
+}
+
+function sanitizeMetricNumber(value, max) {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric >= 0 ? Math.min(numeric, max) : null;
+}
+
+function sanitizePublisherMetrics(payload) {
+  const reason = typeof payload.qualityLimitationReason === "string" ? payload.qualityLimitationReason : "";
+  const viewers = (Array.isArray(payload.viewers) ? payload.viewers : [])
+    .slice(0, PUBLISHER_METRICS_MAX_VIEWERS)
+    .filter((viewer) => viewer && typeof viewer.viewerSocketId === "string" && typeof viewer.connectionId === "string")
+    .map((viewer) => ({
+      viewerSocketId: viewer.viewerSocketId.slice(0, 64),
+      connectionId: viewer.connectionId.slice(0, 128),
+      bitrate: sanitizeMetricNumber(viewer.bitrate, 50_000_000),
+      rtt: sanitizeMetricNumber(viewer.rtt, 60_000),
+      packetLoss: sanitizeMetricNumber(viewer.packetLoss, 1),
+    }));
+  const worst = (field) => {
+    const values = viewers.map((viewer) => viewer[field]).filter((value) => value !== null);
+    return values.length ? Math.max(...values) : null;
+  };
+
+  return {
+    timestamp: Date.now(),
+    bitrate: sanitizeMetricNumber(payload.bitrate, 50_000_000),
+    fps: sanitizeMetricNumber(payload.fps, 240),
+    width: sanitizeMetricNumber(payload.width, 7680),
+    height: sanitizeMetricNumber(payload.height, 4320),
+    qualityLimitationReason: QUALITY_LIMITATION_REASONS.has(reason) ? reason : null,
+    cpuAdapted: Boolean(payload.cpuAdapted),
+    rtt: worst("rtt"),
+    packetLoss: worst("packetLoss"),
+    viewers,
+  };
+}
+
+function prunePublisherMetrics(now = Date.now()) {
+  for (const [key, samples] of publisherMetrics.entries()) {
+    const firstFresh = samples.findIndex((sample) => now - sample.timestamp <= PUBLISHER_METRICS_WINDOW_MS);
+    if (firstFresh === -1) {
+      publisherMetrics.delete(key);
+    } else if (firstFresh > 0) {
+      samples.splice(0, firstFresh);
+    }
+  }
+}
+
+// A socket replaced by takeOverPublisherSocket may still deliver a last message; it must not
+// land in the resumed session's history.
+function handlePublisherMetrics(socket, meta, payload) {
+  const entry = publishers.get(meta.nicknameKey);
+  if (!entry || entry.socket !== socket) {
+    return;
+  }
+
+  const now = Date.now();
+  if (entry.metrics && now - entry.metrics.timestamp < PUBLISHER_METRICS_MIN_INTERVAL_MS) {
+    return;
+  }
+
+  const sample = sanitizePublisherMetrics(payload);
+  for (const viewer of sample.viewers) {
+    if (entry.viewers.get(viewer.viewerSocketId)?.has(viewer.connectionId)) {
+      touchWhepSession(viewer.viewerSocketId, now);
+    }
+  }
+  let samples = publisherMetrics.get(entry.key);
+  if (!samples) {
+    samples = [];
+    publisherMetrics.set(entry.key, samples);
+  }
+  samples.push(sample);
+  prunePublisherMetrics(now);
+
+  entry.metrics = sample;
+  queueAdminCameraUpdate(entry.key);
+}
+
 function handlePublisherPeerClosed(meta, payload) {
   const viewerSocketId = payload.viewerSocketId;
   const connectionId = payload.connectionId;
@@ -2353,6 +6861,11 @@ function handlePublisherPeerClosed(meta, payload) {
 
   touchPublisher(publishers.get(meta.nicknameKey));
 
+  if (whepSessions.has(viewerSocketId)) {
+    closeWhepSession(whepSessions.get(viewerSocketId), "publisher closed peer", false);
+    return;
+  }
+
   dropViewerEntry(meta.nickname, viewerSocketId, connectionId);
 
   const viewerSocket = socketById.get(viewerSocketId);
@@ -2370,6 +6883,277 @@ function handlePublisherPeerClosed(meta, payload) {
   }
 }
 
+// WHEP sessions act as synthetic viewers: the publisher sees an ordinary
+// SIGNAL_VIEWER_OFFER and its answer and candidates are collected here.
+const whepSessions = new Map();
+
+function isWhepAuthorized(req) {
+  if (!WHEP_TOKEN) {
+    return true;
+  }
+  const header = typeof req.headers.authorization === "string" ? req.headers.authorization : "";
+  const [scheme, token] = header.split(" ");
+  if (scheme !== "Bearer" || !token) {
+    return false;
+  }
+  const expected = Buffer.from(WHEP_TOKEN);
+  const provided = Buffer.from(token);
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+function listSdpMids(sdp) {
+  const mids = [];
+  for (const section of sdp.split(/\r?\nm=/).slice(1)) {
+    const match = section.match(/\r?\na=mid:(\S+)/);
+    mids.push(match ? match[1] : null);
+  }
+  return mids;
+}
+
+function appendCandidatesToSdp(sdp, candidates, mids) {
+  const lines = sdp.split(/\r?\n/);
+  const sections = [];
+  lines.forEach((line, index) => {
+    if (line.startsWith("m=")) {
+      sections.push(index);
+    }
+  });
+
+  const additions = new Map();
+  for (const candidate of candidates) {
+    const value = typeof candidate?.candidate === "string" ? candidate.candidate.trim() : "";
+    if (!value) {
+      continue;
+    }
+    let sectionIndex = Number.isInteger(candidate.sdpMLineIndex) ? candidate.sdpMLineIndex : mids.indexOf(candidate.sdpMid);
+    if (sectionIndex < 0 || sectionIndex >= sections.length) {
+      sectionIndex = 0;
+    }
+    const bucket = additions.get(sectionIndex) || [];
+    bucket.push(`a=${value.replace(/^a=/, "")}`);
+    additions.set(sectionIndex, bucket);
+  }
+
+  const output = [];
+  lines.forEach((line, index) => {
+    const nextSection = sections.indexOf(index);
+    if (nextSection > 0 && additions.has(nextSection - 1)) {
+      output.push(...additions.get(nextSection - 1));
+    }
+    output.push(line);
+  });
+  const lastSection = sections.length - 1;
+  if (lastSection >= 0 && additions.has(lastSection)) {
+    while (output.length && output[output.length - 1] === "") {
+      output.pop();
+    }
+    output.push(...additions.get(lastSection), "");
+  }
+  return output.join("\r\n");
+}
+
+function resolveWhepAnswer(session, description) {
+  const sdp = typeof description === "string" ? description : description?.sdp;
+  if (!session.pending || typeof sdp !== "string") {
+    return;
+  }
+  clearTimeout(session.timer);
+  session.timer = setTimeout(() => {
+    const pending = session.pending;
+    session.pending = null;
+    session.answered = true;
+    session.lastSeenAt = Date.now();
+    pending.resolve(appendCandidatesToSdp(sdp, session.candidates, session.mids));
+  }, WHEP_CANDIDATE_GATHER_MS);
+}
+
+// WHEP clients that vanish without DELETE leave nothing on the signalling path, so a
+// session stays alive only while the publisher keeps listing it in PUBLISHER_METRICS.
+function touchWhepSession(sessionId, now = Date.now()) {
+  const session = whepSessions.get(sessionId);
+  if (session) {
+    session.lastSeenAt = now;
+  }
+}
+
+function sweepIdleWhepSessions(now = Date.now()) {
+  for (const session of whepSessions.values()) {
+    if (session.answered && now - session.lastSeenAt > WHEP_IDLE_TIMEOUT_MS) {
+      closeWhepSession(session, "idle timeout");
+    }
+  }
+}
+
+function closeWhepSession(session, reason, notifyPublisher = true) {
+  if (!session || !whepSessions.has(session.id)) {
+    return;
+  }
+  whepSessions.delete(session.id);
+  clearTimeout(session.timer);
+  if (session.pending) {
+    session.pending.reject(new Error(reason));
+    session.pending = null;
+  }
+
+  const { entry } = getPublisherByNickname(session.nickname);
+  dropViewerEntry(session.nickname, session.id, session.connectionId);
+  if (notifyPublisher && entry) {
+    sendJson(entry.socket, {
+      type: "VIEWER_DISCONNECTED",
+      viewerSocketId: session.id,
+      connectionId: session.connectionId,
+      nickname: entry.nickname,
+    });
+  }
+  logEvent("viewer", "WHEP session closed", {
+    nickname: session.nickname,
+    sessionId: session.id,
+    reason,
+  });
+}
+
+function getWhepSession(req, res) {
+  const session = whepSessions.get(req.params.sessionId);
+  if (!session || normalizeNicknameKey(req.params.nickname) !== normalizeNicknameKey(session.nickname)) {
+    res.status(404).type("text/plain").send("WHEP session not found");
+    return null;
+  }
+  return session;
+}
+
+app.post("/whep/:nickname", async (req, res) => {
+  if (!isWhepAuthorized(req)) {
+    res.status(401).type("text/plain").send("Unauthorized");
+    return;
+  }
+  if (!req.is("application/sdp") || typeof req.body !== "string" || !req.body.trim()) {
+    res.status(415).type("text/plain").send("Expected application/sdp offer");
+    return;
+  }
+
+  const { entry } = getPublisherByNickname(req.params.nickname);
+  if (!entry) {
+    res.status(404).type("text/plain").send("Publisher not found");
+    return;
+  }
+
+  const session = {
+    id: `whep-${crypto.randomBytes(6).toString("hex")}`,
+    connectionId: `whep-${Date.now().toString(36)}`,
+    nickname: entry.nickname,
+    remote: extractClientIp(req),
+    createdAt: Date.now(),
+    lastSeenAt: Date.now(),
+    mids: listSdpMids(req.body),
+    candidates: [],
+    answered: false,
+    pending: null,
+    timer: null,
+  };
+
+  const answerPromise = new Promise((resolve, reject) => {
+    session.pending = { resolve, reject };
+  });
+  session.timer = setTimeout(() => closeWhepSession(session, "answer timeout"), WHEP_ANSWER_TIMEOUT_MS);
+  whepSessions.set(session.id, session);
+
+  let viewerSet = entry.viewers.get(session.id);
+  if (!viewerSet) {
+    viewerSet = new Set();
+    entry.viewers.set(session.id, viewerSet);
+  }
+  viewerSet.add(session.connectionId);
+  touchPublisher(entry);
+  queueAdminCameraUpdate(entry.key);
+
+  sendJson(entry.socket, {
+    type: "SIGNAL_VIEWER_OFFER",
+    viewerSocketId: session.id,
+    connectionId: session.connectionId,
+    nickname: entry.nickname,
+    sdp: { type: "offer", sdp: req.body },
+    media: getCameraMediaPolicy(entry.key),
+  });
+  logEvent("viewer", "WHEP offer forwarded", {
+    nickname: entry.nickname,
+    sessionId: session.id,
+    remote: session.remote,
+  });
+
+  let answer;
+  try {
+    answer = await answerPromise;
+  } catch (error) {
+    res.status(504).type("text/plain").send("Publisher did not answer");
+    return;
+  }
+
+  const resource = `/whep/${encodeURIComponent(entry.nickname)}/${session.id}`;
+  res.status(201);
+  res.set("Location", resource);
+  res.set("ETag", `"${session.id}"`);
+  res.type("application/sdp").send(answer);
+});
+
+app.patch("/whep/:nickname/:sessionId", (req, res) => {
+  if (!isWhepAuthorized(req)) {
+    res.status(401).type("text/plain").send("Unauthorized");
+    return;
+  }
+  const session = getWhepSession(req, res);
+  if (!session) {
+    return;
+  }
+  if (!req.is("application/trickle-ice-sdpfrag") || typeof req.body !== "string") {
+    res.status(415).type("text/plain").send("Expected application/trickle-ice-sdpfrag");
+    return;
+  }
+
+  const { entry } = getPublisherByNickname(session.nickname);
+  if (!entry) {
+    closeWhepSession(session, "publisher missing", false);
+    res.status(404).type("text/plain").send("Publisher not found");
+    return;
+  }
+
+  let mid = session.mids[0] ?? null;
+  for (const line of req.body.split(/\r?\n/)) {
+    if (line.startsWith("a=mid:")) {
+      mid = line.slice("a=mid:".length).trim();
+    } else if (line.startsWith("a=candidate:")) {
+      const index = session.mids.indexOf(mid);
+      sendJson(entry.socket, {
+        type: "SIGNAL_VIEWER_CANDIDATE",
+        viewerSocketId: session.id,
+        connectionId: session.connectionId,
+        nickname: entry.nickname,
+        candidate: {
+          candidate: line.slice(2).trim(),
+          sdpMid: mid,
+          sdpMLineIndex: index >= 0 ? index : 0,
+        },
+      });
+    }
+  }
+
+  touchPublisher(entry);
+  touchWhepSession(session.id);
+  res.status(204).end();
+});
+
+app.delete("/whep/:nickname/:sessionId", (req, res) => {
+  if (!isWhepAuthorized(req)) {
+    res.status(401).type("text/plain").send("Unauthorized");
+    return;
+  }
+  const session = getWhepSession(req, res);
+  if (!session) {
+    return;
+  }
+  closeWhepSession(session, "client closed");
+  res.status(200).end();
+});
+
 wss.on("connection", (socket) => {
   socket.isAlive = true;
   socket.on("pong", () => {
@@ -2393,6 +7177,9 @@ wss.on("connection", (socket) => {
     type: "WELCOME",
     socketId,
     currentFocus: gsiState.currentFocus,
+    focusLock: getFocusLockState(),
+    match: matchState,
+    teamBranding: buildTeamBranding(),
     publishers: getActivePublishers(),
     forcedFallback: getForcedFallbackList(),
     visibility: visibilityStore,
@@ -2411,7 +7198,13 @@ wss.on("connection", (socket) => {
       return;
     }
 
-    switch (payload?.type) {
+    const messageType = typeof payload?.type === "string" ? payload.type : "";
+    if (!isSocketMessageAllowed(meta, messageType)) {
+      denySocketMessage(socket, meta, messageType);
+      return;
+    }
+
+    switch (messageType) {
       case "HELLO":
         handleHello(socket, meta, payload);
         break;
@@ -2425,19 +7218,28 @@ wss.on("connection", (socket) => {
         handleViewerStop(socket, meta, payload);
         break;
       case "PUBLISHER_ANSWER":
-        if (meta.role === "publisher") {
-          handlePublisherAnswer(socket, meta, payload);
-        }
+        handlePublisherAnswer(socket, meta, payload);
         break;
       case "PUBLISHER_ICE":
-        if (meta.role === "publisher") {
-          handlePublisherIce(socket, meta, payload);
-        }
+        handlePublisherIce(socket, meta, payload);
         break;
       case "PUBLISHER_PEER_CLOSED":
-        if (meta.role === "publisher") {
-          handlePublisherPeerClosed(meta, payload);
-        }
+        handlePublisherPeerClosed(meta, payload);
+        break;
+      case "PUBLISHER_NEGOTIATED":
+        handlePublisherNegotiated(socket, meta, payload);
+        break;
+      case "PUBLISHER_METRICS":
+        handlePublisherMetrics(socket, meta, payload);
+        break;
+      case "PUBLISHER_QUALITY_APPLIED":
+        handlePublisherQualityApplied(socket, meta, payload);
+        break;
+      case "ADMIN_SUBSCRIBE":
+        handleAdminSubscribe(socket, meta);
+        break;
+      case "ADMIN_UNSUBSCRIBE":
+        handleAdminUnsubscribe(socket);
         break;
       default:
         break;
@@ -2446,6 +7248,7 @@ wss.on("connection", (socket) => {
 
   socket.on("close", () => {
     clients.delete(socket);
+    adminSubscribers.delete(socket);
 
     const metaInfo = socketMeta.get(socket);
     if (!metaInfo) {
@@ -2457,10 +7260,10 @@ wss.on("connection", (socket) => {
     }
 
     if (metaInfo.role === "publisher" && metaInfo.nickname) {
-      detachPublisher(metaInfo.nickname, socket);
+      suspendPublisher(metaInfo.nickname, socket);
     }
 
-    if (metaInfo.role === "viewer") {
+    if (metaInfo.role === "viewer" || metaInfo.role === "admin") {
       const entries = Array.from(metaInfo.subscriptions.entries());
       for (const [connectionId, nickname] of entries) {
         stopViewerSubscription(metaInfo, nickname, connectionId, true);
@@ -2493,8 +7296,8 @@ const heartbeatInterval = setInterval(() => {
 
         if (meta) {
           if (meta.role === "publisher" && meta.nickname) {
-            detachPublisher(meta.nickname, ws);
-          } else if (meta.role === "viewer" && meta.subscriptions instanceof Map) {
+            suspendPublisher(meta.nickname, ws);
+          } else if ((meta.role === "viewer" || meta.role === "admin") && meta.subscriptions instanceof Map) {
             for (const [connectionId, nickname] of meta.subscriptions.entries()) {
               stopViewerSubscription(meta, nickname, connectionId, true);
             }
@@ -2507,6 +7310,7 @@ const heartbeatInterval = setInterval(() => {
 
         socketMeta.delete(ws);
         clients.delete(ws);
+        adminSubscribers.delete(ws);
       } catch (error) {
         // ignore cleanup issues during heartbeat pruning322
       }
@@ -2532,20 +7336,33 @@ const heartbeatInterval = setInterval(() => {
 
 heartbeatInterval.unref?.();
 
+const allowlistPruneInterval = setInterval(() => {
+  pruneExpiredAllowlistEntries().catch((error) => {
+    console.error("Failed to prune admin allowlist", error);
+  });
+}, ALLOWLIST_PRUNE_INTERVAL_MS);
+
+allowlistPruneInterval.unref?.();
+
+const whepIdleSweepInterval = setInterval(() => {
+  sweepIdleWhepSessions();
+}, WHEP_IDLE_SWEEP_MS);
+
+whepIdleSweepInterval.unref?.();
+
 wss.on("close", () => {
   clearInterval(heartbeatInterval);
 });
 
 const logHeartbeatInterval = setInterval(() => {
-  if (logStreamClients.size === 0) {
-    return;
-  }
   const payload = `event: ping\ndata:${Date.now()}\n\n`;
-  for (const client of logStreamClients) {
-    try {
-      client.write(payload);
-    } catch (error) {
-      logStreamClients.delete(client);
+  for (const streamClients of [logStreamClients, gameEventStreamClients]) {
+    for (const client of streamClients) {
+      try {
+        client.write(payload);
+      } catch (error) {
+        streamClients.delete(client);
+      }
     }
   }
 }, LOG_HEARTBEAT_MS);